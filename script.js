@@ -1,9 +1,35 @@
 // Global variables
 let allVideos = [];
-let currentTheme = localStorage.getItem("theme") || "light";
-let favorites = JSON.parse(localStorage.getItem("favorites")) || [];
-let playlists = JSON.parse(localStorage.getItem("playlists")) || [];
-let videoTags = JSON.parse(localStorage.getItem("videoTags")) || {};
+// Persisted collections start empty and are filled in by loadStore()
+let currentTheme = "light";
+let favorites = [];
+let playlists = [];
+let smartCollections = []; // Rule-based playlists
+let videoTags = {};
+let tagColors = {}; // Tag -> chip color
+let watchHistory = {};
+let bookmarks = {}; // videoId -> [{ time, label, note }]
+const defaultSettings = {
+  cacheLimitMB: 200, // Thumbnail cache size cap
+  thumbnailConcurrency: 4, // Thumbnails generated in parallel
+  thumbnailMaxWidth: 480, // Thumbnails are downscaled to this width
+  previewFrames: 10, // Frames in the hover-scrub sprite (0 disables it)
+  watchedThreshold: 90, // Percent played before a video counts as watched
+  seekStep: 5, // Seconds skipped by the arrow keys
+  preservePitch: true, // Keep the audio pitch when changing speed
+  showSubtitles: true, // Turn on a video's first subtitle track when opened
+  subtitleSize: 100, // Cue font size in percent
+  subtitleBackground: "translucent", // "none" | "translucent" | "solid"
+  snapshotFormat: "jpeg", // "png" | "jpeg" | "webp"
+  snapshotQuality: 92, // JPEG and WebP quality in percent
+  burstInterval: 5, // Seconds between burst capture frames
+  contactSheetColumns: 4,
+  contactSheetRows: 5,
+  fileOperations: false, // Allow renaming, moving and deleting files on disk
+  watchFolder: false, // Rescan the library folders when their files change
+  watchInterval: 10, // Seconds between checks when polling
+};
+let settings = { ...defaultSettings };
 let currentVideo = null;
 let playbackSpeed = 1;
 let showFavoritesOnly = false;
@@ -11,10 +37,98 @@ let batchMode = false;
 let selectedVideos = new Set();
 let compareMode = false;
 let activePlaylist = null; // Currently loaded playlist
-let currentDirectoryHandle = null; // Store current folder handle
-
-// Initialize theme
-document.documentElement.setAttribute("data-theme", currentTheme);
+let expandedPlaylist = null; // Index of the playlist showing its videos
+let playlistPickerVideos = []; // Video IDs waiting in the "Add to Playlist" picker
+let editingCollection = null; // Smart collection index open in the editor
+let duplicateFilter = null; // Set of video IDs shown by the duplicate finder
+let duplicateGroups = []; // Last result of the duplicate finder
+let activeSearch = { terms: [], error: null }; // Parsed search box query
+let libraryRoots = []; // Library folders: { id, name, enabled, handle, access }
+let multipleRoots = false; // Videos come from more than one library root
+let selectedFolder = ""; // Relative folder path shown in the grid ("" = all)
+const collapsedFolders = new Set(); // Folder paths collapsed in the tree
+let activeFacets = {}; // Facet key -> Set of selected values
+let facetMode = "and"; // "and" | "or" - how the selected facets combine
+const collapsedFacets = new Set(); // Facet keys folded in the sidebar
+const libraryJobs = new Set(); // Running identify/thumbnail queues ({ cancelled })
+const rootScans = new Map(); // Root ID -> promise of the scan reading it
+let displayedVideos = []; // Filtered and sorted list behind the grid
+const renderedCards = new Map(); // videoId -> card element in the DOM
+let rowHeight = 0; // Measured grid row height including the gap
+let renderScheduled = false;
+let playQueue = []; // Videos in play order for the player modal
+let queueIndex = -1; // Index of the playing video in playQueue
+let unshuffledQueue = null; // Queue order to restore when shuffle is turned off
+let shuffleMode = false;
+let repeatMode = "off"; // "off" | "all" | "one"
+let loopA = null; // A-B loop start in seconds
+let loopB = null; // A-B loop end in seconds
+let frameDuration = 1 / 30; // Seconds per frame of the open video
+let frameSamples = []; // Recent frame durations seen by the frame callback
+let lastFrame = null; // Previous video frame callback metadata
+let playerStatusTimer = null;
+let subtitleTracks = []; // { label, vtt } for the open video
+let activeSubtitle = -1; // Index into subtitleTracks (-1 = off)
+let subtitleOffset = 0; // Seconds added to every cue of the open video
+let clipIn = null; // Clip export start in seconds
+let clipOut = null; // Clip export end in seconds
+let clipJob = null; // { cancelled } while a clip is being recorded
+let snapshotJob = null; // { cancelled } during a burst or contact sheets
+let fileOperationLog = []; // Renames, moves and deletes this session, oldest first
+let lastMoveFolder = ""; // Default answer for the next "Move to Folder"
+let toastTimer = null;
+let folderWatch = null; // { stop } while the library folders are being watched
+let folderWatchSettings = ""; // "watchFolder|watchInterval" the watch follows
+let rescanRunning = false;
+let rescanPending = false; // A change arrived during a rescan; run again after it
+
+const PREVIEW_FRAME_WIDTH = 160; // Width of each hover-scrub sprite frame
+const OVERSCAN_ROWS = 2; // Rows rendered above and below the viewport
+const SEARCH_DEBOUNCE_MS = 200;
+const RESCAN_DEBOUNCE_MS = 1000; // Groups bursts of folder change events
+const RESUME_MIN_SECONDS = 5; // Positions closer to either end start over
+const HISTORY_SAVE_INTERVAL_MS = 5000;
+const FINGERPRINT_SAMPLE_BYTES = 64 * 1024; // Bytes hashed at each sample point
+const NEAR_DUPLICATE_MAX_DISTANCE = 10; // Mean dHash bit difference (of 64)
+const DEFAULT_FRAME_RATE = 30; // Assumed until frames have been measured
+const STANDARD_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+const SUBTITLE_EXTENSIONS = ["srt", "vtt"];
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+const SNAPSHOT_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+const SNAPSHOT_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+};
+const BURST_CONFIRM_FRAMES = 50; // Larger bursts ask before starting
+const CONTACT_SHEET_TILE_WIDTH = 320;
+const DROPPED_ROOT = "dropped"; // Root ID of files added by drag & drop
+const ROOT_HANDLE_PREFIX = "root:"; // FolderHandlesDB key prefix for library roots
+const TAG_COLOR_PATTERN = /^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]+)$/i; // Hex or a color name
+const TRASH_FOLDER = ".trash"; // Deleted files are moved here, inside the library folder
+const CLIP_MIME_TYPES = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+];
+const THEME_CACHE_KEY = "themeCache"; // localStorage copy of the theme for startup
+
+// The store opens asynchronously, so the last theme is applied from its
+// localStorage copy (or the key older releases used) to avoid a light flash
+try {
+  const cachedTheme =
+    localStorage.getItem(THEME_CACHE_KEY) || localStorage.getItem("theme");
+  if (cachedTheme === "dark") {
+    document.documentElement.setAttribute("data-theme", "dark");
+  }
+} catch (e) {
+  // Storage is blocked; the theme is applied once the store loads
+}
 
 // IndexedDB helpers for storing directory handles
 function openHandlesDB() {
@@ -41,6 +155,16 @@ function saveHandleToDB(db, name, handle) {
   });
 }
 
+function deleteHandleFromDB(db, name) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["handles"], "readwrite");
+    const store = transaction.objectStore("handles");
+    const request = store.delete(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
 function getHandleFromDB(db, name) {
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(["handles"], "readonly");
@@ -51,579 +175,2329 @@ function getHandleFromDB(db, name) {
   });
 }
 
-// Restore folder handles from IndexedDB on load
-(async function restoreFolderHandles() {
-  try {
-    const db = await openHandlesDB();
-    for (let i = 0; i < playlists.length; i++) {
-      if (playlists[i].folderName && !playlists[i].folderHandle) {
-        const handle = await getHandleFromDB(db, playlists[i].name);
-        if (handle) {
-          playlists[i].folderHandle = handle;
-        }
-      }
-    }
-  } catch (e) {
-    console.log("Could not restore folder handles:", e);
-  }
-})();
-
-// Generates a thumbnail for a video file
-async function generateThumbnail(videoFile) {
-  return new Promise((resolve) => {
-    const video = document.createElement("video");
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d");
-
-    video.preload = "metadata";
-    video.src = URL.createObjectURL(videoFile);
+// IndexedDB helpers for caching thumbnails and metadata by videoId
+let thumbnailCacheReady = null;
 
-    video.onloadedmetadata = () => {
-      // Seek to 1 second for the thumbnail
-      video.currentTime = Math.min(1, video.duration / 4);
+// Every caller shares one connection, opened on first use
+function openThumbnailCacheDB() {
+  thumbnailCacheReady ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open("ThumbnailCacheDB", 2);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      // Step aside for a newer version opened elsewhere; the next call reopens
+      db.onversionchange = () => {
+        db.close();
+        thumbnailCacheReady = null;
+      };
+      db.onclose = () => (thumbnailCacheReady = null);
+      resolve(db);
     };
-
-    video.onseeked = () => {
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      ctx.drawImage(video, 0, 0);
-      const dataUrl = canvas.toDataURL("image/jpeg");
-      resolve({
-        thumbnail: dataUrl,
-        duration: video.duration,
-        resolution: `${video.videoWidth}x${video.videoHeight}`,
-      });
-      URL.revokeObjectURL(video.src);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains("thumbnails")) {
+        const store = db.createObjectStore("thumbnails", { keyPath: "id" });
+        store.createIndex("path", "path");
+        store.createIndex("lastAccessed", "lastAccessed");
+      }
+      // Content fingerprints keyed by the legacy name_size_lastModified ID
+      if (!db.objectStoreNames.contains("fingerprints")) {
+        db.createObjectStore("fingerprints", { keyPath: "legacyId" });
+      }
     };
+  }).catch((error) => {
+    // A failed open is retried on the next call
+    thumbnailCacheReady = null;
+    throw error;
+  });
+  return thumbnailCacheReady;
+}
 
-    video.onerror = () => {
-      resolve({
-        thumbnail: "",
-        duration: 0,
-        resolution: "0x0",
-      });
+// Returns the cached entry and refreshes its last access time
+function getCachedThumbnail(db, id) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["thumbnails"], "readwrite");
+    const store = transaction.objectStore("thumbnails");
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (entry) {
+        entry.lastAccessed = Date.now();
+        store.put(entry);
+      }
+      resolve(entry);
     };
+    request.onerror = () => reject(request.error);
   });
 }
 
-// Processes video files and generates their thumbnails and metadata
-async function processVideos(files) {
-  return Promise.all(
-    files.map(async (video) => {
-      const { thumbnail, duration, resolution } = await generateThumbnail(
-        video.file,
-      );
-      const videoId = `${video.file.name}_${video.file.size}_${video.file.lastModified}`;
-      return {
-        ...video,
-        id: videoId,
-        thumbnail,
-        meta: {
-          duration,
-          resolution,
-          created: video.file.lastModified,
-          size: video.file.size,
-        },
-        isFavorite: favorites.includes(videoId),
-      };
-    }),
-  );
+// Stores an entry and evicts stale entries for the same file path
+function saveThumbnailToCache(db, entry) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["thumbnails"], "readwrite");
+    const store = transaction.objectStore("thumbnails");
+    store.put(entry);
+
+    // A file that changed on disk gets a new videoId; drop the old one
+    const request = store
+      .index("path")
+      .openCursor(IDBKeyRange.only(entry.path));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (cursor.value.id !== entry.id) cursor.delete();
+      cursor.continue();
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
 }
 
-// Formats video duration from seconds to MM:SS or HH:MM:SS
-function formatDuration(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const remainingSeconds = Math.floor(seconds % 60);
-
-  if (hours > 0) {
-    return `${hours}:${minutes.toString().padStart(2, "0")}:${remainingSeconds
-      .toString()
-      .padStart(2, "0")}`;
-  }
-  return `${minutes}:${remainingSeconds.toString().padStart(2, "0")}`;
+// Evicts least recently used entries until the cache fits the size cap
+function enforceThumbnailCacheLimit(db, limitBytes) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["thumbnails"], "readwrite");
+    const store = transaction.objectStore("thumbnails");
+    const entries = [];
+    let total = 0;
+
+    const request = store.index("lastAccessed").openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        entries.push(cursor.value);
+        total += cursor.value.bytes;
+        cursor.continue();
+        return;
+      }
+      // Oldest entries come first
+      for (const entry of entries) {
+        if (total <= limitBytes) break;
+        store.delete(entry.id);
+        total -= entry.bytes;
+      }
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
 }
 
-// Format file size
-function formatSize(bytes) {
-  if (bytes < 1024) return bytes + " B";
-  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(2) + " KB";
-  if (bytes < 1024 * 1024 * 1024)
-    return (bytes / (1024 * 1024)).toFixed(2) + " MB";
-  return (bytes / (1024 * 1024 * 1024)).toFixed(2) + " GB";
+function getAllFingerprints(db) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["fingerprints"], "readonly");
+    const request = transaction.objectStore("fingerprints").getAll();
+    request.onsuccess = () =>
+      resolve(new Map(request.result.map((e) => [e.legacyId, e.fingerprint])));
+    request.onerror = () => reject(request.error);
+  });
 }
 
-// Update statistics
-function updateStats(videos) {
-  const count = videos.length;
-  const totalSize = videos.reduce((sum, v) => sum + v.meta.size, 0);
-  const totalDuration = videos.reduce((sum, v) => sum + v.meta.duration, 0);
+function saveFingerprints(db, entries) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["fingerprints"], "readwrite");
+    const store = transaction.objectStore("fingerprints");
+    entries.forEach((entry) => store.put(entry));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
 
-  document.getElementById("videoCount").textContent = `${count} video${
-    count !== 1 ? "s" : ""
-  }`;
-  document.getElementById("totalSize").textContent = formatSize(totalSize);
-  document.getElementById("totalDuration").textContent =
-    formatDuration(totalDuration);
+function getThumbnailCacheUsage(db) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["thumbnails"], "readonly");
+    const request = transaction.objectStore("thumbnails").openCursor();
+    let count = 0;
+    let bytes = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        count++;
+        bytes += cursor.value.bytes;
+        cursor.continue();
+      } else {
+        resolve({ count, bytes });
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
 }
 
-// Filters, sorts, and displays the videos
-function updateDisplay() {
-  const searchQuery = document.getElementById("search").value.toLowerCase();
-  const sortBy = document.getElementById("sort").value;
-  const formatFilter = document.getElementById("formatFilter").value;
-  const qualityFilter = document.getElementById("qualityFilter").value;
+function clearThumbnailCache(db) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["thumbnails"], "readwrite");
+    const request = transaction.objectStore("thumbnails").clear();
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
 
-  let filtered = allVideos.filter((video) => {
-    const matchesSearch = video.file.name.toLowerCase().includes(searchQuery);
-    const extension = video.file.name.split(".").pop().toLowerCase();
-    const matchesFormat = formatFilter === "all" || extension === formatFilter;
-    const matchesFavorite = !showFavoritesOnly || video.isFavorite;
-    const matchesPlaylist =
-      !activePlaylist || activePlaylist.videos.includes(video.id);
+// ==================== STORE ====================
+// Persisted state lives in one IndexedDB database, one record per
+// collection. The globals above hold the current values for synchronous
+// reads; saveCollection() writes one back and notifies subscribers, which
+// refresh the views that show it.
+
+const STORE_VERSION = 1; // Shape of the stored data, see storeMigrations
+const storeListeners = []; // { names, listener } registered with onStoreChange
+let pendingStoreChanges = null; // Collections changed since the last notification
+let storeErrorShown = false;
+const storeBase = {}; // Each collection as this tab last read or wrote it
+// Tells other open tabs which collection was written
+const storeChannel =
+  "BroadcastChannel" in window
+    ? new BroadcastChannel("VideoBrowserStore")
+    : null;
+
+function openStoreDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open("VideoBrowserStore", 1);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      db.createObjectStore("collections");
+      db.createObjectStore("meta");
+    };
+  });
+}
 
-    // Quality filter
-    let matchesQuality = true;
-    if (qualityFilter !== "all") {
-      const [width, height] = video.meta.resolution.split("x").map(Number);
-      const maxDim = Math.max(width, height);
-      switch (qualityFilter) {
-        case "4k":
-          matchesQuality = maxDim >= 2160;
-          break;
-        case "1080p":
-          matchesQuality = maxDim >= 1080 && maxDim < 2160;
-          break;
-        case "720p":
-          matchesQuality = maxDim >= 720 && maxDim < 1080;
-          break;
-        case "sd":
-          matchesQuality = maxDim < 720;
-          break;
-      }
-    }
+// Reads every collection and the data version
+function readStore(db) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["collections", "meta"], "readonly");
+    const data = {};
+    let version = 0;
+    transaction.objectStore("collections").openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      data[cursor.key] = cursor.value;
+      cursor.continue();
+    };
+    const request = transaction.objectStore("meta").get("version");
+    request.onsuccess = () => (version = request.result || 0);
+    transaction.oncomplete = () => resolve({ data, version });
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
 
-    return (
-      matchesSearch &&
-      matchesFormat &&
-      matchesFavorite &&
-      matchesQuality &&
-      matchesPlaylist
-    );
+function readCollection(db, name) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["collections"], "readonly");
+    const request = transaction.objectStore("collections").get(name);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
   });
+}
 
-  filtered.sort((a, b) => {
-    switch (sortBy) {
-      case "name":
-        return a.file.name.localeCompare(b.file.name);
-      case "date":
-        return b.meta.created - a.meta.created;
-      case "size":
-        return b.meta.size - a.meta.size;
-      case "duration":
-        return b.meta.duration - a.meta.duration;
-      default:
-        return 0;
-    }
+// Writes { name: value } pairs of collections and meta records in one
+// transaction, so a migration lands whole or not at all
+function writeStore(db, entries, meta = {}) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["collections", "meta"], "readwrite");
+    const store = transaction.objectStore("collections");
+    Object.entries(entries).forEach(([name, value]) => store.put(value, name));
+    const metaStore = transaction.objectStore("meta");
+    Object.entries(meta).forEach(([key, value]) => metaStore.put(value, key));
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error);
   });
+}
 
-  displayVideos(filtered);
-  updateStats(filtered);
+// Calls listener(changedNames) after any of the named collections changes
+function onStoreChange(names, listener) {
+  storeListeners.push({ names, listener });
 }
 
-// Displays video cards in the container
-async function displayVideos(videos) {
-  const container = document.getElementById("videoContainer");
-  container.innerHTML = "";
+// Changes are batched, so a handler saving several collections notifies
+// each subscriber once
+function emitStoreChange(name) {
+  if (!pendingStoreChanges) {
+    pendingStoreChanges = new Set();
+    queueMicrotask(() => {
+      const changed = pendingStoreChanges;
+      pendingStoreChanges = null;
+      storeListeners.forEach(({ names, listener }) => {
+        if (names.some((n) => changed.has(n))) listener(changed);
+      });
+    });
+  }
+  pendingStoreChanges.add(name);
+}
 
-  videos.forEach((video, index) => {
-    const card = document.createElement("div");
-    card.className = "video-card";
-    card.style.animationDelay = `${index * 0.05}s`;
+// Writes a collection back and tells subscribers it changed
+function saveCollection(name) {
+  emitStoreChange(name);
+  return writeCollection(name);
+}
 
-    const extension = video.file.name.split(".").pop().toUpperCase();
-    const favoriteClass = video.isFavorite ? "active" : "";
+// Splits a collection into its items by key: list entries by itemKey, map
+// entries by their key, and anything else as a single item
+function toItems(name, value) {
+  const { itemKey } = storeCollections[name];
+  if (itemKey) return new Map(value.map((item) => [itemKey(item), item]));
+  if (describeType(value) === "object") return new Map(Object.entries(value));
+  return new Map([["value", value]]);
+}
 
-    card.innerHTML = `
-      <div class="video-thumbnail">
-        <img src="${video.thumbnail}" alt="Thumbnail">
-        <div class="thumbnail-overlay">
-          <div class="play-button">▶</div>
-          <div class="video-duration">${formatDuration(
-            video.meta.duration,
-          )}</div>
-          <div class="video-format-badge">${extension}</div>
-        </div>
-      </div>
-      <div class="card-content">
-        <div class="video-info">
-          <h3 title="${video.file.name}">${video.file.name}</h3>
-          <div class="video-meta">
-            <span class="meta-item">📐 ${video.meta.resolution}</span>
-            <span class="meta-item">📦 ${formatSize(video.meta.size)}</span>
-            <span class="meta-item">📅 ${new Date(
-              video.meta.created,
-            ).toLocaleDateString()}</span>
-          </div>
-        </div>
-        <div class="card-actions">
-          <button class="favorite-btn ${favoriteClass}" data-video-id="${
-            video.id
-          }" title="Favorite">⭐</button>
-          <button class="playlist-add-btn" data-video-id="${
-            video.id
-          }" title="Add to Playlist">➕</button>
-        </div>
-      </div>
-    `;
+function fromItems(name, items) {
+  const { itemKey, empty } = storeCollections[name];
+  if (itemKey) return [...items.values()];
+  if (describeType(empty) === "object") return Object.fromEntries(items);
+  return items.get("value");
+}
 
-    // When a video card is clicked, play the video in the modal
-    card
-      .querySelector(".video-thumbnail")
-      .addEventListener("click", () => playVideo(video));
+// Puts the items this tab changed since base on top of the stored copy and
+// keeps every other item as stored, so each item holds whichever tab wrote
+// it last instead of one tab's whole copy overwriting the other's
+function mergeCollection(name, base, local, stored) {
+  const baseItems = toItems(name, base);
+  const localItems = toItems(name, local);
+  const result = toItems(name, stored);
+  new Set([...baseItems.keys(), ...localItems.keys()]).forEach((key) => {
+    const item = localItems.get(key);
+    if (JSON.stringify(item) === JSON.stringify(baseItems.get(key))) return;
+    if (localItems.has(key)) result.set(key, item);
+    else result.delete(key);
+  });
+  return fromItems(name, result);
+}
 
-    // Favorite button
-    card.querySelector(".favorite-btn").addEventListener("click", (e) => {
-      e.stopPropagation();
-      toggleFavorite(video.id);
-    });
+// Validates a stored copy, which another tab or release may have written.
+// intact is false when items had to be skipped or nothing was usable; the
+// caller then keeps the raw copy as "unreadable-<name>" so it isn't lost.
+function readStoredValue(name, raw) {
+  const collection = storeCollections[name];
+  if (raw === undefined) return { value: collection.empty, intact: true };
+  skippedItems = [];
+  try {
+    const value = collection.validate(raw, name);
+    return { value, intact: skippedItems.length === 0 };
+  } catch (error) {
+    console.error(`Saved ${name} is invalid:`, error);
+    return { value: collection.empty, intact: false };
+  }
+}
 
-    // Playlist add button
-    card.querySelector(".playlist-add-btn").addEventListener("click", (e) => {
-      e.stopPropagation();
-      showPlaylistModal(video.id);
-    });
+// Takes in another tab's changes to a collection, keeping this tab's own
+// changes that are not written yet
+function applyStoredValue(name, stored) {
+  const collection = storeCollections[name];
+  const local = collection.get();
+  const merged = mergeCollection(name, storeBase[name], local, stored);
+  if (JSON.stringify(merged) !== JSON.stringify(local)) {
+    collection.set(merged);
+    emitStoreChange(name);
+  }
+}
 
-    container.appendChild(card);
+// Reads, merges and writes a collection in one transaction, so writes from
+// several tabs can't interleave
+function updateStoredCollection(db, name) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["collections", "meta"], "readwrite");
+    const store = transaction.objectStore("collections");
+    let previousBase;
+    const request = store.get(name);
+    request.onsuccess = () => {
+      previousBase = storeBase[name];
+      const { value: stored, intact } = readStoredValue(name, request.result);
+      if (!intact) {
+        transaction
+          .objectStore("meta")
+          .put(request.result, `unreadable-${name}`);
+      }
+      applyStoredValue(name, stored);
+      const value = storeCollections[name].get();
+      store.put(value, name);
+      storeBase[name] = structuredClone(value);
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => {
+      // The changes weren't written, so the next write tries them again
+      storeBase[name] = previousBase;
+      reject(transaction.error);
+    };
   });
 }
 
-// Toggle favorite status
-function toggleFavorite(videoId) {
-  const index = favorites.indexOf(videoId);
-  if (index > -1) {
-    favorites.splice(index, 1);
-  } else {
-    favorites.push(videoId);
+async function writeCollection(name, retried = false) {
+  const db = await storeReady;
+  if (!db) {
+    writeLegacyCollection(name);
+    return;
+  }
+  try {
+    await updateStoredCollection(db, name);
+    storeChannel?.postMessage(name);
+  } catch (error) {
+    // Thumbnails can be made again; the library's own data can't
+    if (error?.name === "QuotaExceededError" && !retried) {
+      try {
+        await clearThumbnailCache(await openThumbnailCacheDB());
+      } catch (e) {
+        console.error("Failed to clear thumbnail cache:", e);
+      }
+      return writeCollection(name, true);
+    }
+    reportStoreError(name, error);
   }
-  localStorage.setItem("favorites", JSON.stringify(favorites));
+}
 
-  // Update video object
-  const video = allVideos.find((v) => v.id === videoId);
-  if (video) video.isFavorite = !video.isFavorite;
+// Without IndexedDB (blocked storage, some private modes) collections are
+// kept in the localStorage keys of older releases, which loadStore reads
+// back through the first migration
+function writeLegacyCollection(name) {
+  const value = storeCollections[name].get();
+  try {
+    localStorage.setItem(
+      name,
+      name === "theme" ? value : JSON.stringify(value),
+    );
+  } catch (error) {
+    reportStoreError(name, error);
+  }
+}
 
-  updateDisplay();
+// Logs every failed save but only interrupts the user once
+function reportStoreError(name, error) {
+  console.error(`Could not save ${name}:`, error);
+  if (storeErrorShown) return;
+  storeErrorShown = true;
+  alert(
+    error?.name === "QuotaExceededError"
+      ? `The browser's storage for this site is full, so changes to ${storeCollections[name].label} could not be saved. Free up disk space or export a backup, then reload.`
+      : `Changes to ${storeCollections[name].label} could not be saved: ${error?.message}`,
+  );
 }
 
-// Opens the modal and plays the selected video file
-function playVideo(video) {
-  currentVideo = video;
-  const videoModal = document.getElementById("videoModal");
-  const videoPlayer = document.getElementById("mainVideoPlayer");
-  const videoTitle = document.getElementById("currentVideoTitle");
+const settingChoices = {
+  subtitleBackground: ["none", "translucent", "solid"],
+  snapshotFormat: Object.keys(SNAPSHOT_TYPES),
+  subtitleSize: [
+    ...document.querySelectorAll("#subtitleSizeSelect option"),
+  ].map((option) => Number(option.value)),
+};
 
-  videoPlayer.src = URL.createObjectURL(video.file);
-  videoPlayer.playbackRate = playbackSpeed;
-  videoTitle.textContent = video.file.name;
-  videoModal.style.display = "flex";
+// Numeric settings stay within the min/max of the input that edits them
+function clampSetting(key, value, path) {
+  if (!isFinite(value)) throw new Error(`${path} should be a finite number`);
+  const input = document.querySelector(`[data-setting="${key}"], #${key}Input`);
+  if (!input) return value;
+  const min = input.min === "" ? -Infinity : Number(input.min);
+  const max = input.max === "" ? Infinity : Number(input.max);
+  return Math.min(max, Math.max(min, value));
+}
 
-  // Update favorite button state
-  const favoriteBtn = document.getElementById("favoriteBtn");
-  favoriteBtn.classList.toggle("active", video.isFavorite);
+function describeType(value) {
+  if (Array.isArray(value)) return "array";
+  return value === null ? "null" : typeof value;
 }
 
-// Close modal function
-function closeVideoModal() {
-  const videoModal = document.getElementById("videoModal");
-  const videoPlayer = document.getElementById("mainVideoPlayer");
-  videoPlayer.pause();
-  URL.revokeObjectURL(videoPlayer.src);
-  videoPlayer.src = "";
-  videoModal.style.display = "none";
-  currentVideo = null;
+function expectType(value, type, path) {
+  if (describeType(value) !== type) {
+    throw new Error(`${path} should be ${type}, found ${describeType(value)}`);
+  }
+  return value;
 }
 
-// Close modal when clicking the close button or outside modal content
-document
-  .querySelector("#videoModal .close")
-  .addEventListener("click", closeVideoModal);
+function expectString(value, path) {
+  return expectType(value, "string", path);
+}
 
-window.addEventListener("click", (event) => {
-  const videoModal = document.getElementById("videoModal");
-  if (event.target === videoModal) {
-    closeVideoModal();
-  }
+// Collections validate their items one by one, so a bad item is skipped
+// (and noted here) instead of the whole collection being refused
+let skippedItems = []; // { path, error } since the caller last cleared it
 
-  const playlistModal = document.getElementById("playlistModal");
-  if (event.target === playlistModal) {
-    playlistModal.style.display = "none";
+function validateItem(validate, item, path, skipInvalid) {
+  if (!skipInvalid) return [validate(item, path)];
+  try {
+    return [validate(item, path)];
+  } catch (error) {
+    console.error(`Skipped ${path}:`, error);
+    skippedItems.push({ path, error });
+    return [];
   }
-});
+}
 
-// Picture-in-Picture
-document.getElementById("pipBtn").addEventListener("click", async () => {
-  const videoPlayer = document.getElementById("mainVideoPlayer");
-  try {
-    if (document.pictureInPictureElement) {
-      await document.exitPictureInPicture();
+function validateList(value, path, validate, skipInvalid = false) {
+  return expectType(value, "array", path).flatMap((item, i) =>
+    validateItem(validate, item, `${path}[${i}]`, skipInvalid),
+  );
+}
+
+function validateMap(value, path, validate, skipInvalid = false) {
+  expectType(value, "object", path);
+  return Object.fromEntries(
+    Object.entries(value).flatMap(([key, item]) =>
+      validateItem(validate, item, `${path}.${key}`, skipInvalid).map(
+        (result) => [key, result],
+      ),
+    ),
+  );
+}
+
+// Copies the listed fields after checking their types; optional fields may
+// be missing
+function validateFields(value, path, fields, optional = {}) {
+  expectType(value, "object", path);
+  const result = {};
+  Object.entries({ ...fields, ...optional }).forEach(([key, type]) => {
+    if (value[key] === undefined && key in optional) return;
+    result[key] = expectType(value[key], type, `${path}.${key}`);
+  });
+  return result;
+}
+
+// Missing rules take their default. The bounds (null when unset) must be
+// numbers, every other rule has the type of its default.
+function validateCollectionRules(rules, path) {
+  const result = { ...defaultCollectionRules };
+  Object.entries(defaultCollectionRules).forEach(([key, fallback]) => {
+    const rule = rules[key];
+    if (rule === undefined) return;
+    if (fallback !== null) {
+      result[key] = expectType(rule, describeType(fallback), `${path}.${key}`);
+    } else if (
+      rule === null ||
+      isFinite(expectType(rule, "number", `${path}.${key}`))
+    ) {
+      result[key] = rule;
     } else {
-      await videoPlayer.requestPictureInPicture();
+      throw new Error(`${path}.${key} should be a finite number`);
+    }
+  });
+  validateList(result.tags, `${path}.tags`, expectString);
+  return result;
+}
+
+// Playlists and collections are told apart (and synced between tabs) by
+// name, so repeats in older data or a backup get a number added
+function uniqueNames(list) {
+  const names = new Set();
+  return list.map((item) => {
+    let name = item.name;
+    for (let n = 2; names.has(name); n++) name = `${item.name} (${n})`;
+    names.add(name);
+    return name === item.name ? item : { ...item, name };
+  });
+}
+
+function mergeByName(current, incoming, combine) {
+  const result = [...current];
+  incoming.forEach((item) => {
+    const index = result.findIndex((existing) => existing.name === item.name);
+    if (index === -1) result.push(item);
+    else result[index] = combine(result[index], item);
+  });
+  return result;
+}
+
+function mergeMap(current, incoming, combine) {
+  const result = { ...current };
+  Object.entries(incoming).forEach(([key, value]) => {
+    result[key] = key in result ? combine(result[key], value) : value;
+  });
+  return result;
+}
+
+// Every persisted collection. empty is its value before anything was saved,
+// get and set read and replace the global holding it, validate checks a
+// stored or backed-up copy, and merge combines a backup with the current
+// value (lists are joined, history keeps the most recent entry, otherwise
+// the backup's item wins). Lists name the key that identifies their items
+// in itemKey, so tabs can sync them item by item.
+const storeCollections = {
+  settings: {
+    label: "⚙️ Settings",
+    empty: {},
+    get: () => settings,
+    set: (value) => (settings = { ...defaultSettings, ...value }),
+    validate: (value, path) => {
+      expectType(value, "object", path);
+      // Settings are one record, so missing ones fall back to the defaults
+      const result = { ...defaultSettings };
+      Object.entries(value).forEach(([key, setting]) => {
+        // Settings this version doesn't know are skipped
+        if (!(key in defaultSettings)) return;
+        expectType(setting, typeof defaultSettings[key], `${path}.${key}`);
+        if (settingChoices[key] && !settingChoices[key].includes(setting)) {
+          throw new Error(`${path}.${key} can't be "${setting}"`);
+        }
+        result[key] =
+          typeof setting === "number"
+            ? clampSetting(key, setting, `${path}.${key}`)
+            : setting;
+      });
+      return result;
+    },
+    merge: (current, incoming) => ({ ...current, ...incoming }),
+  },
+  theme: {
+    label: "🌓 Theme",
+    empty: "light",
+    get: () => currentTheme,
+    set: (value) => (currentTheme = value),
+    validate: (value, path) => {
+      if (!["light", "dark"].includes(value)) {
+        throw new Error(`${path} should be "light" or "dark"`);
+      }
+      return value;
+    },
+    merge: (current, incoming) => incoming,
+  },
+  favorites: {
+    label: "⭐ Favorites",
+    empty: [],
+    itemKey: (id) => id,
+    get: () => favorites,
+    set: (value) => (favorites = value),
+    validate: (value, path) => validateList(value, path, expectString, true),
+    merge: (current, incoming) => [...new Set([...current, ...incoming])],
+  },
+  playlists: {
+    label: "📋 Playlists",
+    empty: [],
+    itemKey: (playlist) => playlist.name,
+    // Folder handles live in FolderHandlesDB, not with the playlists
+    get: () => playlists.map(({ folderHandle, ...playlist }) => playlist),
+    // Playlists that are still here keep their folder and stay loaded
+    set: (value) => {
+      const previous = playlists;
+      playlists = value.map((playlist) => {
+        const existing = previous.find((p) => p.name === playlist.name);
+        return playlist.folderName && existing?.folderHandle
+          ? { ...playlist, folderHandle: existing.folderHandle }
+          : playlist;
+      });
+      expandedPlaylist = null;
+      if (previous.includes(activePlaylist)) {
+        const match = playlists.find((p) => p.name === activePlaylist.name);
+        if (match?.videos) activePlaylist = match;
+        else clearPlaylist();
+      }
+    },
+    validate: (value, path) =>
+      uniqueNames(
+        validateList(
+          value,
+          path,
+          (playlist, itemPath) => {
+            const result = validateFields(
+              playlist,
+              itemPath,
+              { name: "string" },
+              { folderName: "string", savedDate: "number" },
+            );
+            if (playlist.videos !== undefined) {
+              result.videos = validateList(
+                playlist.videos,
+                `${itemPath}.videos`,
+                expectString,
+              );
+            }
+            if (!result.videos && !result.folderName) {
+              throw new Error(`${itemPath} has neither videos nor a folder`);
+            }
+            return result;
+          },
+          true,
+        ),
+      ),
+    merge: (current, incoming) =>
+      mergeByName(current, incoming, (existing, playlist) =>
+        existing.videos && playlist.videos
+          ? {
+              ...existing,
+              videos: [...new Set([...existing.videos, ...playlist.videos])],
+            }
+          : playlist,
+      ),
+  },
+  smartCollections: {
+    label: "🧠 Smart collections",
+    empty: [],
+    itemKey: (collection) => collection.name,
+    get: getSmartCollectionsForExport,
+    set: (value) => {
+      const previous = smartCollections;
+      smartCollections = value;
+      refreshSmartCollections();
+      if (previous.includes(activePlaylist)) {
+        const match = smartCollections.find(
+          (c) => c.name === activePlaylist.name,
+        );
+        if (match) activePlaylist = match;
+        else clearPlaylist();
+      }
+    },
+    validate: (value, path) =>
+      uniqueNames(
+        validateList(
+          value,
+          path,
+          (collection, itemPath) => {
+            const { name, rules } = validateFields(collection, itemPath, {
+              name: "string",
+              rules: "object",
+            });
+            return {
+              name,
+              rules: validateCollectionRules(rules, `${itemPath}.rules`),
+            };
+          },
+          true,
+        ),
+      ),
+    merge: (current, incoming) =>
+      mergeByName(current, incoming, (existing, collection) => collection),
+  },
+  videoTags: {
+    label: "🏷️ Tagged videos",
+    empty: {},
+    get: () => videoTags,
+    set: (value) => (videoTags = value),
+    validate: (value, path) =>
+      validateMap(
+        value,
+        path,
+        (tags, itemPath) => validateList(tags, itemPath, expectString),
+        true,
+      ),
+    merge: (current, incoming) =>
+      mergeMap(current, incoming, (existing, tags) => [
+        ...new Set([...existing, ...tags]),
+      ]),
+  },
+  tagColors: {
+    label: "🎨 Tag colors",
+    empty: {},
+    get: () => tagColors,
+    set: (value) => (tagColors = value),
+    // Colors end up in style attributes, so only plain ones are accepted
+    validate: (value, path) =>
+      validateMap(
+        value,
+        path,
+        (color, itemPath) => {
+          if (!TAG_COLOR_PATTERN.test(expectString(color, itemPath))) {
+            throw new Error(`${itemPath} isn't a color: "${color}"`);
+          }
+          return color;
+        },
+        true,
+      ),
+    merge: (current, incoming) => ({ ...current, ...incoming }),
+  },
+  watchHistory: {
+    label: "🕘 Watch history",
+    empty: {},
+    get: () => watchHistory,
+    set: (value) => (watchHistory = value),
+    validate: (value, path) =>
+      validateMap(
+        value,
+        path,
+        (entry, itemPath) =>
+          validateFields(entry, itemPath, {
+            position: "number",
+            duration: "number",
+            playCount: "number",
+            lastWatched: "number",
+            watched: "boolean",
+          }),
+        true,
+      ),
+    merge: (current, incoming) =>
+      mergeMap(current, incoming, (existing, entry) =>
+        entry.lastWatched > existing.lastWatched ? entry : existing,
+      ),
+  },
+  bookmarks: {
+    label: "🔖 Bookmarked videos",
+    empty: {},
+    get: () => bookmarks,
+    set: (value) => (bookmarks = value),
+    validate: (value, path) =>
+      validateMap(
+        value,
+        path,
+        (list, itemPath) =>
+          validateList(list, itemPath, (bookmark, bookmarkPath) =>
+            validateFields(
+              bookmark,
+              bookmarkPath,
+              { time: "number", label: "string" },
+              { note: "string" },
+            ),
+          ),
+        true,
+      ),
+    // Bookmarks at the same time are the same bookmark
+    merge: (current, incoming) =>
+      mergeMap(current, incoming, (existing, list) =>
+        [
+          ...existing,
+          ...list.filter(
+            (bookmark) => !existing.some((b) => b.time === bookmark.time),
+          ),
+        ].sort((a, b) => a.time - b.time),
+      ),
+  },
+  libraryRoots: {
+    label: "📚 Library folders",
+    empty: [],
+    itemKey: (root) => root.id,
+    get: () =>
+      libraryRoots.map(({ id, name, enabled }) => ({ id, name, enabled })),
+    // Roots that are still here keep their folder access; videos of roots
+    // that left or were switched off leave the library
+    set: (value) => {
+      const previous = libraryRoots;
+      libraryRoots = value.map((root) => {
+        const existing = previous.find(
+          (r) => r.id === root.id || r.name === root.name,
+        );
+        if (!existing) return { ...root, handle: null, access: "prompt" };
+        if (existing.enabled && !root.enabled) removeRootVideos(existing.id);
+        return Object.assign(existing, {
+          name: root.name,
+          enabled: root.enabled,
+        });
+      });
+      previous
+        .filter((root) => !libraryRoots.includes(root))
+        .forEach((root) => removeRootVideos(root.id));
+    },
+    validate: (value, path) =>
+      validateList(
+        value,
+        path,
+        (root, itemPath) =>
+          validateFields(root, itemPath, {
+            id: "string",
+            name: "string",
+            enabled: "boolean",
+          }),
+        true,
+      ),
+    // Folders already here keep their ID, so their videos stay attached
+    merge: (current, incoming) =>
+      mergeByName(current, incoming, (existing, root) => ({
+        ...existing,
+        enabled: root.enabled,
+      })),
+  },
+};
+
+// Upgrades the stored data by one version; index = the version it upgrades
+// from. Version 0 is the localStorage keys of older releases.
+const storeMigrations = [
+  (data) => {
+    Object.keys(storeCollections).forEach((name) => {
+      try {
+        const raw = localStorage.getItem(name);
+        if (raw === null) return;
+        // The theme was stored as a bare string
+        data[name] = name === "theme" ? raw : JSON.parse(raw);
+      } catch (e) {
+        // Blocked storage throws too; the collection starts empty
+        console.error(`Could not read saved ${name}:`, e);
+      }
+    });
+    // Older releases saved manual playlists without their video list
+    if (Array.isArray(data.playlists)) {
+      data.playlists = data.playlists.map((playlist) =>
+        playlist?.videos || playlist?.folderName
+          ? playlist
+          : { ...playlist, videos: [] },
+      );
     }
+    return data;
+  },
+];
+
+// Opens the store, migrates older data, and fills in every collection.
+// Resolves with the database, or null when IndexedDB is unavailable and
+// nothing can be saved.
+async function loadStore() {
+  let db = null;
+  let stored = { data: {}, version: 0 };
+  try {
+    db = await openStoreDB();
+    stored = await readStore(db);
   } catch (error) {
-    console.error("PiP error:", error);
+    console.error("Could not open the store:", error);
   }
-});
 
-// Playback speed control
-document.getElementById("speedBtn").addEventListener("click", () => {
-  const speeds = [0.5, 0.75, 1, 1.25, 1.5, 2];
-  const currentIndex = speeds.indexOf(playbackSpeed);
-  playbackSpeed = speeds[(currentIndex + 1) % speeds.length];
+  let { data, version } = stored;
+  const migrated = version < STORE_VERSION;
+  for (; version < STORE_VERSION; version++) {
+    data = storeMigrations[version](data);
+  }
 
-  const videoPlayer = document.getElementById("mainVideoPlayer");
-  videoPlayer.playbackRate = playbackSpeed;
-  document.getElementById("speedBtn").textContent = `${playbackSpeed}x`;
-});
+  // Invalid data is set aside under "unreadable-<name>" instead of being
+  // lost to the next save, so it can still be recovered by hand
+  const unreadable = {};
+  Object.entries(storeCollections).forEach(([name, collection]) => {
+    const { value, intact } = readStoredValue(name, data[name]);
+    if (!intact) {
+      console.error(
+        `Saved ${name} could not be fully loaded; it is kept as "unreadable-${name}"`,
+      );
+      unreadable[`unreadable-${name}`] = data[name];
+    }
+    collection.set(value);
+    storeBase[name] = structuredClone(collection.get());
+    emitStoreChange(name);
+  });
 
-// Fullscreen
-document.getElementById("fullscreenBtn").addEventListener("click", () => {
-  const videoWrapper = document.querySelector(".video-player-wrapper");
-  if (!document.fullscreenElement) {
-    videoWrapper.requestFullscreen();
-  } else {
-    document.exitFullscreen();
+  if (!db) {
+    Object.entries(unreadable).forEach(([key, value]) => {
+      try {
+        localStorage.setItem(key, JSON.stringify(value));
+      } catch (error) {
+        console.error(`Could not keep ${key}:`, error);
+      }
+    });
+    return db;
   }
-});
 
-// Favorite from player
-document.getElementById("favoriteBtn").addEventListener("click", () => {
-  if (currentVideo) {
-    toggleFavorite(currentVideo.id);
-    document.getElementById("favoriteBtn").classList.toggle("active");
+  // Old keys are only dropped once their data is safely in the store
+  if (migrated) {
+    const entries = Object.fromEntries(
+      Object.entries(storeCollections).map(([name, collection]) => [
+        name,
+        collection.get(),
+      ]),
+    );
+    try {
+      await writeStore(db, entries, { ...unreadable, version: STORE_VERSION });
+      Object.keys(storeCollections).forEach((name) =>
+        localStorage.removeItem(name),
+      );
+    } catch (error) {
+      console.error("Could not move saved data into the store:", error);
+    }
+  } else if (Object.keys(unreadable).length) {
+    try {
+      await writeStore(db, {}, unreadable);
+    } catch (error) {
+      console.error("Could not keep the unreadable data:", error);
+    }
+  }
+  return db;
+}
+
+const storeReady = loadStore();
+
+// Another tab wrote a collection: read it back and show its changes here
+storeChannel?.addEventListener("message", async ({ data: name }) => {
+  const db = await storeReady;
+  if (!db || !storeCollections[name]) return;
+  try {
+    const { value: stored, intact } = readStoredValue(
+      name,
+      await readCollection(db, name),
+    );
+    // A copy this tab can't fully read is set aside by its next write
+    if (!intact) return;
+    applyStoredValue(name, stored);
+    storeBase[name] = structuredClone(stored);
+  } catch (error) {
+    console.error(`Could not read ${name} changed in another tab:`, error);
   }
 });
 
-// Toggle between dark and light themes
-document.getElementById("themeToggle").addEventListener("click", () => {
-  currentTheme = currentTheme === "light" ? "dark" : "light";
+onStoreChange(["theme"], () => {
   document.documentElement.setAttribute("data-theme", currentTheme);
-  localStorage.setItem("theme", currentTheme);
+  try {
+    localStorage.setItem(THEME_CACHE_KEY, currentTheme);
+  } catch (e) {
+    // Only costs the theme at the next startup
+  }
 });
 
-// Toggle between grid and list views
-document.getElementById("viewToggle").addEventListener("click", () => {
-  document.getElementById("videoContainer").classList.toggle("list-view");
-});
+// Playlists from storage or a backup get their saved folders back
+async function attachPlaylistHandles() {
+  try {
+    const db = await openHandlesDB();
+    for (const playlist of playlists) {
+      if (playlist.folderName && !playlist.folderHandle) {
+        const handle = await getHandleFromDB(db, playlist.name);
+        if (handle) playlist.folderHandle = handle;
+      }
+    }
+  } catch (e) {
+    console.log("Could not restore folder handles:", e);
+  }
+}
 
-// Toggle favorites filter
-document.getElementById("favoritesToggle").addEventListener("click", (e) => {
-  showFavoritesOnly = !showFavoritesOnly;
-  e.target.classList.toggle("active", showFavoritesOnly);
-  updateDisplay();
-});
+// Seeks a video element and resolves once the new frame is available
+function seekVideo(video, time) {
+  return new Promise((resolve, reject) => {
+    video.onseeked = () => resolve();
+    video.onerror = () => reject(video.error);
+    video.currentTime = time;
+  });
+}
 
-// Update display when search input or sort option changes
-document.getElementById("search").addEventListener("input", updateDisplay);
-document.getElementById("sort").addEventListener("change", updateDisplay);
-document
-  .getElementById("formatFilter")
-  .addEventListener("change", updateDisplay);
+// Creates a muted, off-screen video for the file and waits for its metadata
+async function loadVideoElement(file) {
+  const video = document.createElement("video");
+  video.muted = true;
+  await new Promise((resolve, reject) => {
+    video.onloadedmetadata = () => resolve();
+    video.onerror = () => reject(video.error);
+    video.src = URL.createObjectURL(file);
+  });
+  return video;
+}
 
-// Playlist management
-document.getElementById("playlistBtn").addEventListener("click", () => {
-  const modal = document.getElementById("playlistModal");
-  if (modal) {
-    modal.style.display = "flex";
-    displayPlaylists();
-  }
-});
+// Releases a video made by loadVideoElement
+function unloadVideoElement(video) {
+  video.pause();
+  URL.revokeObjectURL(video.src);
+  video.src = "";
+}
 
-// Close playlist modal - handled by the general modal close handler below
+// Draws the current frame into a canvas no wider than maxWidth
+function captureFrame(video, maxWidth) {
+  const canvas = document.createElement("canvas");
+  const scale = Math.min(1, maxWidth / video.videoWidth);
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
 
-function displayPlaylists() {
-  const listContainer = document.getElementById("playlistList");
-  listContainer.innerHTML = "";
+// Computes a 64-bit difference hash (dHash) of the current frame as hex
+function computeFrameHash(source) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 9;
+  canvas.height = 8;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, 9, 8);
+  const { data } = ctx.getImageData(0, 0, 9, 8);
+  const luma = (x, y) => {
+    const i = (y * 9 + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
 
-  if (playlists.length === 0) {
-    listContainer.innerHTML =
-      '<p class="no-playlists">No playlists yet. Create one!</p>';
-    return;
+  let hex = "";
+  for (let y = 0; y < 8; y++) {
+    let byte = 0;
+    for (let x = 0; x < 8; x++) {
+      byte = (byte << 1) | (luma(x, y) > luma(x + 1, y) ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
   }
-
-  playlists.forEach((playlist, index) => {
-    const item = document.createElement("div");
-    item.className = "playlist-item";
-    const folderInfo = playlist.folderName
-      ? `<small>📁 ${playlist.folderName}</small>`
-      : "";
-    const videoCount = playlist.videos
-      ? `${playlist.videos.length} videos`
-      : "Folder path";
-    item.innerHTML = `
-      <div class="playlist-info">
-        <h4>${playlist.name}</h4>
-        ${folderInfo}
-        <span>${videoCount}</span>
-      </div>
-      <div class="playlist-actions">
-        <button onclick="loadPlaylist(${index})">Load</button>
-        <button onclick="deletePlaylist(${index})">Delete</button>
-      </div>
-    `;
-    listContainer.appendChild(item);
-  });
+  return hex;
 }
 
-document.getElementById("createPlaylist").addEventListener("click", () => {
-  const name = document.getElementById("playlistName").value.trim();
-  if (!name) {
-    alert("Please enter a playlist name");
-    return;
+// Renders evenly spaced frames side by side into one sprite image and
+// hashes each frame for near-duplicate detection
+async function generatePreviewSprite(video, frames) {
+  if (!frames || !isFinite(video.duration) || !video.videoWidth) {
+    return { sprite: "", hashes: [] };
   }
 
-  playlists.push({ name, videos: [] });
-  localStorage.setItem("playlists", JSON.stringify(playlists));
-  document.getElementById("playlistName").value = "";
-  displayPlaylists();
-});
+  const frameWidth = PREVIEW_FRAME_WIDTH;
+  const frameHeight = Math.round(
+    (frameWidth * video.videoHeight) / video.videoWidth,
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = frameWidth * frames;
+  canvas.height = frameHeight;
+  const ctx = canvas.getContext("2d");
+  const hashes = [];
+
+  for (let i = 0; i < frames; i++) {
+    await seekVideo(video, ((i + 0.5) / frames) * video.duration);
+    ctx.drawImage(video, i * frameWidth, 0, frameWidth, frameHeight);
+    hashes.push(computeFrameHash(video));
+  }
+  return { sprite: canvas.toDataURL("image/jpeg", 0.7), hashes };
+}
 
-document.getElementById("savePlaylist").addEventListener("click", async () => {
-  const name = document.getElementById("playlistName").value.trim();
-  if (!name) {
-    alert("Please enter a playlist name");
-    return;
+// Generates a downscaled thumbnail and hover preview sprite for a video file
+async function generateThumbnail(videoFile) {
+  const video = document.createElement("video");
+  const url = URL.createObjectURL(videoFile);
+  video.preload = "metadata";
+  video.muted = true;
+
+  try {
+    await new Promise((resolve, reject) => {
+      video.onloadedmetadata = () => resolve();
+      video.onerror = () => reject(video.error);
+      video.src = url;
+    });
+
+    // WebM files written by MediaRecorder (exported clips) have no duration
+    // in their header; seeking far past the end makes the browser find it
+    if (video.duration === Infinity) await seekVideo(video, 1e101);
+    const duration = isFinite(video.duration) ? video.duration : 0;
+
+    // Seek to 1 second for the thumbnail
+    await seekVideo(video, Math.min(1, duration / 4));
+    const thumbnail = captureFrame(video, settings.thumbnailMaxWidth).toDataURL(
+      "image/jpeg",
+      0.8,
+    );
+    const thumbnailHash = computeFrameHash(video);
+    const { sprite, hashes } = await generatePreviewSprite(
+      video,
+      settings.previewFrames,
+    );
+
+    return {
+      thumbnail,
+      sprite,
+      spriteFrames: sprite ? settings.previewFrames : 0,
+      frameHashes: [thumbnailHash, ...hashes],
+      duration: duration,
+      resolution: `${video.videoWidth}x${video.videoHeight}`,
+    };
+  } catch (e) {
+    return {
+      thumbnail: "",
+      sprite: "",
+      spriteFrames: 0,
+      frameHashes: [],
+      duration: 0,
+      resolution: "0x0",
+    };
+  } finally {
+    URL.revokeObjectURL(url);
   }
+}
 
-  if (!currentDirectoryHandle) {
-    alert("Please select a folder first!");
-    return;
+// Returns thumbnail and metadata from the cache, generating them on a miss
+async function loadThumbnail(video, videoId, cacheDB) {
+  if (cacheDB) {
+    try {
+      // Entries cached before content fingerprints used the legacy ID
+      const cached =
+        (await getCachedThumbnail(cacheDB, videoId)) ||
+        (video.legacyId !== videoId &&
+          (await getCachedThumbnail(cacheDB, video.legacyId)));
+      if (cached) return cached;
+    } catch (e) {
+      console.log("Thumbnail cache read failed:", e);
+    }
   }
 
-  // Request permission to store the directory handle
-  const permission = await currentDirectoryHandle.queryPermission({
-    mode: "read",
-  });
-  if (permission !== "granted") {
-    const newPermission = await currentDirectoryHandle.requestPermission({
-      mode: "read",
-    });
-    if (newPermission !== "granted") {
-      alert("Permission denied to access folder");
-      return;
+  const result = await generateThumbnail(video.file);
+  if (cacheDB && result.thumbnail) {
+    try {
+      await saveThumbnailToCache(cacheDB, {
+        id: videoId,
+        path: video.relativePath || video.file.name,
+        ...result,
+        bytes: result.thumbnail.length + (result.sprite || "").length,
+        lastAccessed: Date.now(),
+      });
+    } catch (e) {
+      console.log("Thumbnail cache write failed:", e);
     }
   }
+  return result;
+}
 
-  // Save the directory handle reference
-  const folderName = currentDirectoryHandle.name;
-  const newPlaylist = {
-    name,
-    folderName,
-    folderHandle: currentDirectoryHandle,
-    savedDate: Date.now(),
-  };
-  playlists.push(newPlaylist);
+// Creates video entries with placeholder metadata so cards can render at once
+function createVideoEntries(files) {
+  return files.map((video) => {
+    const videoId = getLegacyVideoId(video.file);
+    return {
+      ...video,
+      id: videoId,
+      legacyId: videoId,
+      contentHash: null,
+      thumbnail: "",
+      sprite: "",
+      spriteFrames: 0,
+      frameHashes: [],
+      pending: true,
+      meta: {
+        duration: 0,
+        resolution: "0x0",
+        created: video.file.lastModified,
+        size: video.file.size,
+      },
+      isFavorite: favorites.includes(videoId),
+    };
+  });
+}
 
-  // Save handle to IndexedDB
+// Runs worker over items with at most `limit` in flight; stops when cancelled
+async function runWithConcurrency(items, limit, worker, job) {
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (next < items.length && !job.cancelled) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    },
+  );
+  await Promise.all(runners);
+}
+
+// Fills in thumbnails and metadata for video entries through a bounded queue
+async function processVideos(videos, job, onProgress) {
+  let cacheDB = null;
   try {
-    const db = await openHandlesDB();
-    await saveHandleToDB(db, name, currentDirectoryHandle);
+    cacheDB = await openThumbnailCacheDB();
   } catch (e) {
-    console.error("Failed to save folder handle:", e);
+    console.log("Thumbnail cache unavailable:", e);
   }
 
-  localStorage.setItem(
-    "playlists",
-    JSON.stringify(
-      playlists.map((p) => ({
-        name: p.name,
-        folderName: p.folderName,
-        savedDate: p.savedDate,
-      })),
-    ),
+  let done = 0;
+  await runWithConcurrency(
+    videos,
+    settings.thumbnailConcurrency,
+    async (video) => {
+      const {
+        thumbnail,
+        sprite,
+        spriteFrames,
+        frameHashes,
+        duration,
+        resolution,
+      } = await loadThumbnail(video, video.id, cacheDB);
+      video.thumbnail = thumbnail;
+      video.sprite = sprite || "";
+      video.spriteFrames = spriteFrames || 0;
+      video.frameHashes = frameHashes || [];
+      video.meta.duration = duration;
+      video.meta.resolution = resolution;
+      video.pending = false;
+      updateVideoCard(video);
+
+      done++;
+      if (onProgress) onProgress(done, videos.length);
+    },
+    job,
   );
 
-  document.getElementById("playlistName").value = "";
-  displayPlaylists();
-  alert(`Saved playlist: ${name}\nFolder: ${folderName}`);
-});
+  // Entries skipped by a cancel keep their placeholders
+  videos.forEach((video) => (video.pending = false));
 
-window.loadPlaylist = async (index) => {
-  const playlist = playlists[index];
-  if (!playlist) {
-    alert("Playlist not found!");
-    return;
+  if (cacheDB) {
+    try {
+      await enforceThumbnailCacheLimit(
+        cacheDB,
+        settings.cacheLimitMB * 1024 * 1024,
+      );
+    } catch (e) {
+      console.log("Thumbnail cache eviction failed:", e);
+    }
   }
+  return videos;
+}
 
-  // Check if this is a folder-based playlist
-  if (playlist.folderHandle) {
-    try {
-      document.getElementById("loading").style.display = "flex";
-      document.getElementById("playlistModal").style.display = "none";
+// Adds files to the library and renders them progressively. Files that
+// are already listed are skipped; new entries are identified on their own,
+// then kept apart from any existing card ID.
+async function addVideosToLibrary(files) {
+  const loaded = new Set(allVideos.map(getLibraryKey));
+  const entries = createVideoEntries(files).filter(
+    (video) => !loaded.has(getLibraryKey(video)),
+  );
+  if (entries.length === 0) return entries;
 
-      // Request permission
-      const permission = await playlist.folderHandle.queryPermission({
-        mode: "read",
-      });
-      if (permission !== "granted") {
-        const newPermission = await playlist.folderHandle.requestPermission({
-          mode: "read",
-        });
-        if (newPermission !== "granted") {
-          alert("Permission denied. Please re-add this playlist.");
-          document.getElementById("loading").style.display = "none";
-          return;
-        }
+  const job = { cancelled: false };
+  libraryJobs.add(job);
+  const existingIds = new Set(allVideos.map((video) => video.id));
+  allVideos.push(...entries);
+  updateDisplay();
+
+  try {
+    showLoadingProgress(0, entries.length, "Identifying videos");
+    await identifyVideos(entries, job, (done, total) =>
+      showLoadingProgress(done, total, "Identifying videos"),
+    );
+    entries.forEach((video) => {
+      if (existingIds.has(video.id) && video.contentHash) {
+        video.id = `${video.contentHash}~${video.legacyId}`;
       }
+      video.isFavorite = favorites.includes(video.id);
+    });
+    updateDisplay();
 
-      // Load videos from the folder
-      const files = await readDirectory(playlist.folderHandle);
-      allVideos = await processVideos(files);
-      currentDirectoryHandle = playlist.folderHandle;
+    showLoadingProgress(0, entries.length);
+    await processVideos(entries, job, showLoadingProgress);
+  } finally {
+    // Other additions may still be generating thumbnails
+    libraryJobs.delete(job);
+    if (libraryJobs.size === 0) hideLoading();
+    updateDisplay();
+  }
+  return entries;
+}
 
-      activePlaylist = null;
-      showFavoritesOnly = false;
-      updateDisplay();
+// A file's place in the library: its root and path plus name, size and
+// date, so an edited file at the same path counts as a different entry
+function getLibraryKey(video) {
+  return `${video.root}|${video.relativePath}|${getLegacyVideoId(video.file)}`;
+}
 
-      // Show success indicator
-      const indicator = document.getElementById("playlistIndicator");
-      indicator.textContent = `📋 ${playlist.name} (${allVideos.length} videos)`;
-      indicator.style.display = "inline-block";
-      indicator.style.cursor = "pointer";
-      indicator.title = "Loaded from folder";
-      indicator.onclick = () => {
-        indicator.style.display = "none";
-      };
+// Switches the loading overlay to a docked "n of m" progress panel
+function showLoadingProgress(done, total, label = "Generating thumbnails") {
+  const loading = document.getElementById("loading");
+  loading.style.display = "flex";
+  loading.classList.add("docked");
+  document.getElementById("loadingProgress").style.display = "flex";
+  document.getElementById("loadingText").textContent =
+    `${label}: ${done} of ${total}`;
+  document.getElementById("loadingProgressBar").style.width = `${
+    total ? (done / total) * 100 : 100
+  }%`;
+}
 
-      document.getElementById("loading").style.display = "none";
-    } catch (error) {
-      console.error("Error loading playlist:", error);
-      alert(
-        "Failed to load playlist. The folder may have been moved or deleted.",
-      );
-      document.getElementById("loading").style.display = "none";
+// Shows a short message in the corner of the page
+function showToast(message) {
+  const toast = document.getElementById("toast");
+  toast.textContent = message;
+  toast.style.display = "block";
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => (toast.style.display = "none"), 4000);
+}
+
+function hideLoading() {
+  const loading = document.getElementById("loading");
+  loading.style.display = "none";
+  loading.classList.remove("docked");
+  document.getElementById("loadingProgress").style.display = "none";
+  document.getElementById("loadingText").textContent = "Processing videos...";
+}
+
+document.getElementById("cancelLoading").addEventListener("click", () => {
+  libraryJobs.forEach((job) => (job.cancelled = true));
+  if (snapshotJob) snapshotJob.cancelled = true;
+});
+
+// Updates a rendered card in place once its thumbnail resolves
+function updateVideoCard(video) {
+  const card = document.querySelector(
+    `.video-card[data-video-id="${CSS.escape(video.id)}"]`,
+  );
+  if (!card) return;
+
+  card.classList.toggle("pending", !!video.pending);
+  if (video.thumbnail) {
+    card.querySelector(".video-thumbnail img").src = video.thumbnail;
+  }
+  card.querySelector(".video-duration").textContent = formatDuration(
+    video.meta.duration,
+  );
+  card.querySelector(".meta-resolution").textContent =
+    `📐 ${video.meta.resolution}`;
+}
+
+// Formats video duration from seconds to MM:SS or HH:MM:SS
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const remainingSeconds = Math.floor(seconds % 60);
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, "0")}:${remainingSeconds
+      .toString()
+      .padStart(2, "0")}`;
+  }
+  return `${minutes}:${remainingSeconds.toString().padStart(2, "0")}`;
+}
+
+// Format file size
+function formatSize(bytes) {
+  if (bytes < 1024) return bytes + " B";
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(2) + " KB";
+  if (bytes < 1024 * 1024 * 1024)
+    return (bytes / (1024 * 1024)).toFixed(2) + " MB";
+  return (bytes / (1024 * 1024 * 1024)).toFixed(2) + " GB";
+}
+
+// Update statistics
+function updateStats(videos) {
+  const count = videos.length;
+  const totalSize = videos.reduce((sum, v) => sum + v.meta.size, 0);
+  const totalDuration = videos.reduce((sum, v) => sum + v.meta.duration, 0);
+
+  document.getElementById("videoCount").textContent = `${count} video${
+    count !== 1 ? "s" : ""
+  }`;
+  document.getElementById("totalSize").textContent = formatSize(totalSize);
+  document.getElementById("totalDuration").textContent =
+    formatDuration(totalDuration);
+}
+
+// Quality bucket used by the quality filter: "4k", "1080p", "720p" or "sd"
+function getQualityBucket(video) {
+  const [width, height] = video.meta.resolution.split("x").map(Number);
+  const maxDim = Math.max(width, height);
+  if (maxDim >= 2160) return "4k";
+  if (maxDim >= 1080) return "1080p";
+  if (maxDim >= 720) return "720p";
+  return "sd";
+}
+
+// Filters, sorts, and displays the videos
+function updateDisplay() {
+  const sortBy = document.getElementById("sort").value;
+  const formatFilter = document.getElementById("formatFilter").value;
+  const qualityFilter = document.getElementById("qualityFilter").value;
+  const historyFilter = document.getElementById("historyFilter").value;
+
+  activeSearch = parseSearchQuery(document.getElementById("search").value);
+  showSearchError(activeSearch.error);
+
+  multipleRoots = new Set(allVideos.map((video) => video.root)).size > 1;
+  renderFolderTree();
+  refreshSmartCollections();
+
+  let filtered = allVideos.filter((video) => {
+    const matchesSearch = matchesSearchQuery(video, activeSearch);
+    const extension = video.file.name.split(".").pop().toLowerCase();
+    const matchesFormat = formatFilter === "all" || extension === formatFilter;
+    const matchesFavorite = !showFavoritesOnly || video.isFavorite;
+    const matchesPlaylist =
+      !activePlaylist || activePlaylist.videos.includes(video.id);
+    const matchesFolder = isInFolder(video, selectedFolder);
+    const matchesHistory = matchesHistoryFilter(video, historyFilter);
+    const matchesDuplicates = !duplicateFilter || duplicateFilter.has(video.id);
+
+    const matchesQuality =
+      qualityFilter === "all" || getQualityBucket(video) === qualityFilter;
+
+    return (
+      matchesSearch &&
+      matchesFormat &&
+      matchesFavorite &&
+      matchesQuality &&
+      matchesPlaylist &&
+      matchesFolder &&
+      matchesHistory &&
+      matchesDuplicates
+    );
+  });
+
+  renderFacets(filtered);
+  filtered = filtered.filter((video) => matchesFacets(video));
+
+  filtered.sort((a, b) => {
+    switch (sortBy) {
+      case "name":
+        return a.file.name.localeCompare(b.file.name);
+      case "date":
+        return b.meta.created - a.meta.created;
+      case "size":
+        return b.meta.size - a.meta.size;
+      case "duration":
+        return b.meta.duration - a.meta.duration;
+      case "lastWatched":
+        return (
+          (watchHistory[b.id]?.lastWatched || 0) -
+          (watchHistory[a.id]?.lastWatched || 0)
+        );
+      case "playCount":
+        return (
+          (watchHistory[b.id]?.playCount || 0) -
+          (watchHistory[a.id]?.playCount || 0)
+        );
+      default:
+        return 0;
+    }
+  });
+
+  displayVideos(filtered);
+  updateStats(filtered);
+}
+
+// Displays video cards in the container; only visible rows get DOM nodes
+function displayVideos(videos) {
+  // Cards that were on screen before the update skip the enter animation
+  const previouslyRendered = new Set(renderedCards.keys());
+  renderedCards.forEach((card) => card.remove());
+  renderedCards.clear();
+
+  displayedVideos = videos;
+  renderVisibleCards({ stagger: true, skipAnimation: previouslyRendered });
+}
+
+// Renders the window of rows around the viewport and pads the rest
+function renderVisibleCards({
+  stagger = false,
+  skipAnimation = new Set(),
+} = {}) {
+  const container = document.getElementById("videoContainer");
+  const style = getComputedStyle(container);
+  const columns = Math.max(
+    1,
+    style.gridTemplateColumns.split(" ").filter(Boolean).length,
+  );
+  const gap = parseFloat(style.rowGap) || 0;
+  const estimate =
+    rowHeight || (container.classList.contains("list-view") ? 220 : 360);
+  const totalRows = Math.ceil(displayedVideos.length / columns);
+
+  const containerTop = container.getBoundingClientRect().top + window.scrollY;
+  const viewportTop = window.scrollY - containerTop;
+  const firstRow = Math.max(
+    0,
+    Math.floor(viewportTop / estimate) - OVERSCAN_ROWS,
+  );
+  const lastRow = Math.min(
+    totalRows,
+    Math.ceil((viewportTop + window.innerHeight) / estimate) + OVERSCAN_ROWS,
+  );
+
+  // Every row gets the measured height, so the rows really are where the
+  // padding above assumes
+  container.style.gridAutoRows = rowHeight ? `${rowHeight - gap}px` : "";
+  container.style.paddingTop = `${firstRow * estimate}px`;
+  container.style.height = totalRows ? `${totalRows * estimate - gap}px` : "";
+
+  const visible = displayedVideos.slice(
+    firstRow * columns,
+    Math.max(firstRow, lastRow) * columns,
+  );
+  const visibleIds = new Set(visible.map((video) => video.id));
+
+  renderedCards.forEach((card, id) => {
+    if (!visibleIds.has(id)) {
+      card.remove();
+      renderedCards.delete(id);
+    }
+  });
+
+  // Rendered cards stay contiguous, so new ones slot in around them
+  let ref = container.firstElementChild;
+  visible.forEach((video, index) => {
+    const existing = renderedCards.get(video.id);
+    if (existing) {
+      ref = existing.nextElementSibling;
+      return;
+    }
+    const card = createVideoCard(video, {
+      delay: stagger ? index * 0.05 : 0,
+      animate: !skipAnimation.has(video.id),
+    });
+    renderedCards.set(video.id, card);
+    container.insertBefore(card, ref);
+  });
+
+  // Grow the row height to the tallest card so none is cut off. Cards are
+  // stretched to the row, so their content height comes from scrollHeight.
+  let tallest = 0;
+  renderedCards.forEach((card) => {
+    const borders = card.offsetHeight - card.clientHeight;
+    tallest = Math.max(tallest, card.scrollHeight + borders);
+  });
+  if (tallest && tallest + gap > rowHeight + 1) {
+    rowHeight = tallest + gap;
+    scheduleRender();
+  }
+}
+
+function scheduleRender() {
+  if (renderScheduled) return;
+  renderScheduled = true;
+  requestAnimationFrame(() => {
+    renderScheduled = false;
+    renderVisibleCards();
+  });
+}
+
+// Re-measure rows whenever the layout changes
+function resetRowHeight() {
+  rowHeight = 0;
+  scheduleRender();
+}
+
+window.addEventListener("scroll", scheduleRender, { passive: true });
+window.addEventListener("resize", resetRowHeight);
+
+// Builds a single video card element
+function createVideoCard(video, { delay = 0, animate = true } = {}) {
+  const card = document.createElement("div");
+  card.className = "video-card";
+  card.classList.toggle("pending", !!video.pending);
+  card.classList.toggle("static", !animate);
+  card.classList.toggle("selected", batchMode && selectedVideos.has(video.id));
+  card.dataset.videoId = video.id;
+  card.style.animationDelay = `${delay}s`;
+
+  const extension = video.file.name.split(".").pop().toUpperCase();
+  const favoriteClass = video.isFavorite ? "active" : "";
+  const progress = getWatchProgress(video);
+  const watched = watchHistory[video.id]?.watched;
+
+  card.innerHTML = `
+      <div class="video-thumbnail">
+        <img ${video.thumbnail ? `src="${video.thumbnail}"` : ""} alt="Thumbnail">
+        <div class="scrub-preview"></div>
+        <div class="scrub-progress"></div>
+        <div class="thumbnail-overlay">
+          <div class="play-button">▶</div>
+          <div class="video-duration">${formatDuration(
+            video.meta.duration,
+          )}</div>
+          <div class="video-format-badge">${extension}</div>
+        </div>
+        ${
+          progress > 0
+            ? `<div class="watch-progress"><div style="width: ${
+                progress * 100
+              }%"></div></div>`
+            : ""
+        }
+        ${watched ? '<div class="watched-badge">✓ Watched</div>' : ""}
+        ${
+          batchMode
+            ? `<input type="checkbox" class="batch-checkbox" ${
+                selectedVideos.has(video.id) ? "checked" : ""
+              }>`
+            : ""
+        }
+      </div>
+      <div class="card-content">
+        <div class="video-info">
+          <h3 title="${video.file.name}">${highlightSearchMatches(
+            video.file.name,
+          )}</h3>
+          <div class="video-meta">
+            <span class="meta-item meta-resolution">📐 ${
+              video.meta.resolution
+            }</span>
+            <span class="meta-item">📦 ${formatSize(video.meta.size)}</span>
+            <span class="meta-item">📅 ${new Date(
+              video.meta.created,
+            ).toLocaleDateString()}</span>
+            <span class="meta-item">🗂️ ${escapeHtml(
+              getRootLabel(video.root),
+            )}</span>
+            ${
+              video.folder
+                ? `<span class="meta-item" title="${video.relativePath}">📁 ${video.folder}</span>`
+                : ""
+            }
+          </div>
+          ${
+            videoTags[video.id]?.length
+              ? `<div class="video-tags">${renderTagChips(video.id)}</div>`
+              : ""
+          }
+        </div>
+        <div class="card-actions">
+          <button class="favorite-btn ${favoriteClass}" data-video-id="${
+            video.id
+          }" title="Favorite">⭐</button>
+          <button class="playlist-add-btn" data-video-id="${
+            video.id
+          }" title="Add to Playlist">➕</button>
+        </div>
+      </div>
+    `;
+
+  // When a video card is clicked, play the video in the modal
+  // (or toggle its selection in batch mode)
+  const thumbnailEl = card.querySelector(".video-thumbnail");
+  thumbnailEl.addEventListener("click", () => {
+    if (batchMode) {
+      toggleVideoSelection(video.id, card);
+    } else {
+      // Queue up the current filtered and sorted list
+      startQueue(displayedVideos, displayedVideos.indexOf(video));
+    }
+  });
+
+  // Hovering across the thumbnail scrubs through the preview sprite
+  thumbnailEl.addEventListener("mousemove", (e) =>
+    scrubPreview(thumbnailEl, video, e),
+  );
+  thumbnailEl.addEventListener("mouseleave", () =>
+    thumbnailEl.classList.remove("scrubbing"),
+  );
+
+  bindTagChips(card, video.id);
+
+  // Favorite button
+  card.querySelector(".favorite-btn").addEventListener("click", (e) => {
+    e.stopPropagation();
+    toggleFavorite(video.id);
+  });
+
+  // Playlist add button
+  card.querySelector(".playlist-add-btn").addEventListener("click", (e) => {
+    e.stopPropagation();
+    showPlaylistModal(video.id);
+  });
+
+  return card;
+}
+
+// Toggles a video in the batch selection without re-rendering the grid
+function toggleVideoSelection(videoId, card) {
+  if (selectedVideos.has(videoId)) {
+    selectedVideos.delete(videoId);
+  } else {
+    selectedVideos.add(videoId);
+  }
+  const selected = selectedVideos.has(videoId);
+  card.classList.toggle("selected", selected);
+  card.querySelector(".batch-checkbox").checked = selected;
+  updateBatchInfo();
+}
+
+// Shows the sprite frame matching the pointer position over a thumbnail
+function scrubPreview(thumbnailEl, video, event) {
+  if (!video.sprite || video.spriteFrames < 1) return;
+
+  const rect = thumbnailEl.getBoundingClientRect();
+  const ratio = Math.min(
+    Math.max((event.clientX - rect.left) / rect.width, 0),
+    0.999,
+  );
+  const frames = video.spriteFrames;
+  const index = Math.floor(ratio * frames);
+
+  const preview = thumbnailEl.querySelector(".scrub-preview");
+  preview.style.backgroundImage = `url("${video.sprite}")`;
+  preview.style.backgroundSize = `${frames * 100}% 100%`;
+  preview.style.backgroundPosition = `${
+    frames > 1 ? (index / (frames - 1)) * 100 : 0
+  }% 0`;
+  thumbnailEl.querySelector(".scrub-progress").style.width = `${ratio * 100}%`;
+  thumbnailEl.classList.add("scrubbing");
+}
+
+// Toggle favorite status
+function toggleFavorite(videoId) {
+  const index = favorites.indexOf(videoId);
+  if (index > -1) {
+    favorites.splice(index, 1);
+  } else {
+    favorites.push(videoId);
+  }
+  saveCollection("favorites");
+}
+
+// The grid shows favorites and tags, and filters by playlists and
+// collections, so it follows changes to any of them, from this tab or
+// another one
+onStoreChange(
+  ["favorites", "videoTags", "tagColors", "playlists", "smartCollections"],
+  (changed) => {
+    if (changed.has("favorites")) {
+      allVideos.forEach((video) => {
+        video.isFavorite = favorites.includes(video.id);
+      });
+      document
+        .getElementById("favoriteBtn")
+        .classList.toggle("active", !!currentVideo?.isFavorite);
     }
-  } else if (playlist.videos) {
-    // Old-style playlist with video IDs
-    activePlaylist = playlist;
-    showFavoritesOnly = false;
     updateDisplay();
+  },
+);
 
-    const indicator = document.getElementById("playlistIndicator");
-    indicator.textContent = `📋 ${playlist.name}`;
-    indicator.style.display = "inline-block";
-    indicator.style.cursor = "pointer";
-    indicator.title = "Click to show all videos";
-    indicator.onclick = clearPlaylist;
+// Opens the modal and plays the selected video file
+function playVideo(video) {
+  const videoModal = document.getElementById("videoModal");
+  const videoPlayer = document.getElementById("mainVideoPlayer");
+  const videoTitle = document.getElementById("currentVideoTitle");
 
-    document.getElementById("playlistModal").style.display = "none";
+  // Switching videos inside the open player keeps the outgoing position
+  if (currentVideo && videoModal.style.display === "flex") {
+    recordPosition(
+      currentVideo.id,
+      videoPlayer.currentTime,
+      videoPlayer.duration,
+    );
+    URL.revokeObjectURL(videoPlayer.src);
   }
-};
-window.clearPlaylist = () => {
-  activePlaylist = null;
-  const indicator = document.getElementById("playlistIndicator");
-  indicator.style.display = "none";
-  updateDisplay();
-};
+  currentVideo = video;
+
+  videoPlayer.src = URL.createObjectURL(video.file);
+  setPlaybackSpeed(playbackSpeed);
+  clearLoop();
+  clearClip();
+  resetFrameRate();
+  loadSubtitleTracks(video);
+  videoTitle.textContent = video.file.name;
+  videoModal.style.display = "flex";
+
+  // Update favorite button state
+  const favoriteBtn = document.getElementById("favoriteBtn");
+  favoriteBtn.classList.toggle("active", video.isFavorite);
+  renderPlayerTags();
+  renderBookmarks();
+
+  recordPlay(video.id);
+  showResumePrompt(video);
+  renderQueue();
+}
+
+// Close modal function
+function closeVideoModal() {
+  const videoModal = document.getElementById("videoModal");
+  const videoPlayer = document.getElementById("mainVideoPlayer");
+  if (currentVideo) {
+    recordPosition(
+      currentVideo.id,
+      videoPlayer.currentTime,
+      videoPlayer.duration,
+    );
+  }
+  hideResumePrompt();
+  subtitleTracks = [];
+  renderSubtitleTracks();
+  videoPlayer.pause();
+  URL.revokeObjectURL(videoPlayer.src);
+  videoPlayer.src = "";
+  videoModal.style.display = "none";
+  const closedVideo = currentVideo;
+  currentVideo = null;
+  playQueue = [];
+  queueIndex = -1;
+  unshuffledQueue = null;
+
+  // Refresh progress bars and history-based sorting
+  if (closedVideo) updateDisplay();
+}
+
+// Close modal when clicking the close button or outside modal content
+document
+  .querySelector("#videoModal .close")
+  .addEventListener("click", closeVideoModal);
+
+window.addEventListener("click", (event) => {
+  const videoModal = document.getElementById("videoModal");
+  if (event.target === videoModal) {
+    closeVideoModal();
+  }
+
+  const playlistModal = document.getElementById("playlistModal");
+  if (event.target === playlistModal) {
+    playlistModal.style.display = "none";
+  }
+});
+
+// Picture-in-Picture
+document.getElementById("pipBtn").addEventListener("click", async () => {
+  const videoPlayer = document.getElementById("mainVideoPlayer");
+  try {
+    if (document.pictureInPictureElement) {
+      await document.exitPictureInPicture();
+    } else {
+      await videoPlayer.requestPictureInPicture();
+    }
+  } catch (error) {
+    console.error("PiP error:", error);
+  }
+});
+
+// Opens one floating player panel and closes the rest
+function togglePlayerPanel(panelId) {
+  const open = document.getElementById(panelId).style.display !== "flex";
+  document
+    .querySelectorAll(".video-player-wrapper .speed-panel")
+    .forEach((panel) => {
+      panel.style.display = open && panel.id === panelId ? "flex" : "none";
+    });
+  [
+    ["speedPanel", "speedBtn"],
+    ["clipPanel", "clipBtn"],
+    ["snapshotPanel", "snapshotBtn"],
+  ].forEach(([id, buttonId]) => {
+    document
+      .getElementById(buttonId)
+      .classList.toggle("active", open && panelId === id);
+  });
+}
+
+// Playback speed panel
+document.getElementById("speedBtn").addEventListener("click", () => {
+  togglePlayerPanel("speedPanel");
+});
+
+// Fullscreen
+document.getElementById("fullscreenBtn").addEventListener("click", () => {
+  const videoWrapper = document.querySelector(".video-player-wrapper");
+  if (!document.fullscreenElement) {
+    videoWrapper.requestFullscreen();
+  } else {
+    document.exitFullscreen();
+  }
+});
+
+// Favorite from player
+document.getElementById("favoriteBtn").addEventListener("click", () => {
+  if (currentVideo) {
+    toggleFavorite(currentVideo.id);
+  }
+});
+
+// Toggle between dark and light themes
+document.getElementById("themeToggle").addEventListener("click", () => {
+  currentTheme = currentTheme === "light" ? "dark" : "light";
+  saveCollection("theme");
+});
+
+// Toggle between grid and list views
+document.getElementById("viewToggle").addEventListener("click", () => {
+  document.getElementById("videoContainer").classList.toggle("list-view");
+  resetRowHeight();
+});
+
+// Toggle favorites filter
+document.getElementById("favoritesToggle").addEventListener("click", (e) => {
+  showFavoritesOnly = !showFavoritesOnly;
+  e.target.classList.toggle("active", showFavoritesOnly);
+  updateDisplay();
+});
+
+// Update display when search input or sort option changes
+let searchDebounce = null;
+document.getElementById("search").addEventListener("input", () => {
+  clearTimeout(searchDebounce);
+  searchDebounce = setTimeout(updateDisplay, SEARCH_DEBOUNCE_MS);
+});
+document.getElementById("sort").addEventListener("change", updateDisplay);
+document
+  .getElementById("formatFilter")
+  .addEventListener("change", updateDisplay);
+document
+  .getElementById("qualityFilter")
+  .addEventListener("change", updateDisplay);
+document.getElementById("historyFilter").addEventListener("change", (e) => {
+  // History views read best newest first
+  if (e.target.value === "continue" || e.target.value === "recent") {
+    document.getElementById("sort").value = "lastWatched";
+  }
+  updateDisplay();
+});
+
+// Playlist management
+document.getElementById("playlistBtn").addEventListener("click", () => {
+  const modal = document.getElementById("playlistModal");
+  if (modal) {
+    modal.style.display = "flex";
+    displayPlaylists();
+  }
+});
+
+// Close playlist modal - handled by the general modal close handler below
+
+function displayPlaylists() {
+  const listContainer = document.getElementById("playlistList");
+  listContainer.innerHTML = "";
+  displaySmartCollections();
+
+  if (playlists.length === 0) {
+    listContainer.innerHTML =
+      '<p class="no-playlists">No playlists yet. Create one!</p>';
+    return;
+  }
+
+  playlists.forEach((playlist, index) => {
+    const item = document.createElement("div");
+    item.className = "playlist-item";
+    const folderInfo = playlist.folderName
+      ? `<small>📁 ${playlist.folderName}</small>`
+      : "";
+    const videoCount = playlist.videos
+      ? `${playlist.videos.length} videos · ${formatDuration(
+          getPlaylistDuration(playlist),
+        )}`
+      : "Folder path";
+    const expanded = playlist.videos && expandedPlaylist === index;
+    item.innerHTML = `
+      <div class="playlist-row">
+        <div class="playlist-info">
+          <h4>${playlist.name}</h4>
+          ${folderInfo}
+          <span>${videoCount}</span>
+        </div>
+        <div class="playlist-actions">
+          <button onclick="playPlaylist(${index})">▶ Play</button>
+          <button onclick="loadPlaylist(${index})">Load</button>
+          ${
+            playlist.videos
+              ? `<button onclick="togglePlaylistContents(${index})" title="Show videos">${
+                  expanded ? "▴" : "▾"
+                }</button>`
+              : ""
+          }
+          <button onclick="renamePlaylist(${index})" title="Rename">✏️</button>
+          <button onclick="duplicatePlaylist(${index})" title="Duplicate">⧉</button>
+          <button onclick="deletePlaylist(${index})">Delete</button>
+        </div>
+      </div>
+    `;
+    if (expanded) item.appendChild(createPlaylistContents(playlist));
+    listContainer.appendChild(item);
+  });
+}
+
+// Sums the durations of a playlist's videos that are currently loaded
+function getPlaylistDuration(playlist) {
+  return (playlist.videos || []).reduce((sum, id) => {
+    const video = allVideos.find((v) => v.id === id);
+    return sum + (video ? video.meta.duration : 0);
+  }, 0);
+}
+
+// Lists a playlist's videos with thumbnails; drag to reorder, ✖ to remove
+function createPlaylistContents(playlist) {
+  const list = document.createElement("ol");
+  list.className = "playlist-contents";
+
+  if (playlist.videos.length === 0) {
+    list.innerHTML =
+      '<li class="playlist-empty">No videos yet. Use ➕ on a video card to add one.</li>';
+    return list;
+  }
+
+  playlist.videos.forEach((id, position) => {
+    const video = allVideos.find((v) => v.id === id);
+    const entry = document.createElement("li");
+    entry.className = "playlist-entry";
+    entry.draggable = true;
+    entry.innerHTML = `
+      <span class="queue-position">${position + 1}</span>
+      <img ${video?.thumbnail ? `src="${video.thumbnail}"` : ""} alt="">
+      <div class="queue-info">
+        <span class="queue-title"></span>
+        <small>${video ? formatDuration(video.meta.duration) : "Not loaded"}</small>
+      </div>
+      <button class="queue-remove" title="Remove from playlist">✖</button>
+    `;
+    entry.querySelector(".queue-title").textContent = video
+      ? video.file.name
+      : id;
+    entry.classList.toggle("unavailable", !video);
+
+    entry.querySelector(".queue-remove").addEventListener("click", () => {
+      playlist.videos.splice(position, 1);
+      savePlaylists();
+    });
+
+    entry.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData("text/plain", String(position));
+      e.dataTransfer.effectAllowed = "move";
+      entry.classList.add("dragging");
+    });
+    entry.addEventListener("dragend", () => entry.classList.remove("dragging"));
+    entry.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      entry.classList.add("drag-over");
+    });
+    entry.addEventListener("dragleave", () =>
+      entry.classList.remove("drag-over"),
+    );
+    entry.addEventListener("drop", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const from = parseInt(e.dataTransfer.getData("text/plain"), 10);
+      if (isNaN(from) || from === position) return;
+      const [moved] = playlist.videos.splice(from, 1);
+      playlist.videos.splice(position, 0, moved);
+      savePlaylists();
+    });
+
+    list.appendChild(entry);
+  });
+  return list;
+}
+
+function savePlaylists() {
+  saveCollection("playlists");
+}
+
+onStoreChange(["playlists", "smartCollections"], async (changed) => {
+  if (changed.has("playlists")) await attachPlaylistHandles();
+  displayPlaylists();
+});
+
+function addVideosToPlaylist(playlist, videoIds) {
+  videoIds.forEach((id) => {
+    if (!playlist.videos.includes(id)) playlist.videos.push(id);
+  });
+  savePlaylists();
+}
+
+window.togglePlaylistContents = (index) => {
+  expandedPlaylist = expandedPlaylist === index ? null : index;
+  displayPlaylists();
+};
+
+window.renamePlaylist = async (index) => {
+  const playlist = playlists[index];
+  const name = prompt("Rename playlist:", playlist.name)?.trim();
+  if (!name || name === playlist.name) return;
+  if (playlists.some((p) => p.name === name)) {
+    alert("A playlist with that name already exists");
+    return;
+  }
+
+  // Folder handles are keyed by playlist name
+  if (playlist.folderHandle) {
+    try {
+      const db = await openHandlesDB();
+      await saveHandleToDB(db, name, playlist.folderHandle);
+      await deleteHandleFromDB(db, playlist.name);
+    } catch (e) {
+      console.error("Failed to move folder handle:", e);
+    }
+  }
+
+  playlist.name = name;
+  savePlaylists();
+  if (activePlaylist === playlist) {
+    document.getElementById("playlistIndicator").textContent = `📋 ${name}`;
+  }
+};
+
+window.duplicatePlaylist = async (index) => {
+  const playlist = playlists[index];
+  let name = `${playlist.name} (copy)`;
+  for (let n = 2; playlists.some((p) => p.name === name); n++) {
+    name = `${playlist.name} (copy ${n})`;
+  }
+
+  const copy = { ...playlist, name };
+  if (playlist.videos) copy.videos = [...playlist.videos];
+  if (playlist.folderHandle) {
+    try {
+      const db = await openHandlesDB();
+      await saveHandleToDB(db, name, playlist.folderHandle);
+    } catch (e) {
+      console.error("Failed to save folder handle:", e);
+    }
+  }
+
+  playlists.splice(index + 1, 0, copy);
+  if (expandedPlaylist !== null && expandedPlaylist > index) expandedPlaylist++;
+  savePlaylists();
+};
+
+// Opens the "Add to Playlist" picker for one video ID or an array of IDs
+function showPlaylistModal(videoIds) {
+  playlistPickerVideos = Array.isArray(videoIds) ? videoIds : [videoIds];
+  document.getElementById("addToPlaylistName").value = "";
+  document.getElementById("addToPlaylistTitle").textContent =
+    playlistPickerVideos.length === 1
+      ? "➕ Add to Playlist"
+      : `➕ Add ${playlistPickerVideos.length} Videos to Playlist`;
+  displayPlaylistPicker();
+  document.getElementById("addToPlaylistModal").style.display = "flex";
+}
+
+function displayPlaylistPicker() {
+  const list = document.getElementById("addToPlaylistList");
+  list.innerHTML = "";
+
+  const editable = playlists.filter((p) => p.videos);
+  if (editable.length === 0) {
+    list.innerHTML =
+      '<p class="no-playlists">No playlists yet. Create one below.</p>';
+    return;
+  }
+
+  editable.forEach((playlist) => {
+    const contained = playlistPickerVideos.every((id) =>
+      playlist.videos.includes(id),
+    );
+    const button = document.createElement("button");
+    button.className = "playlist-pick";
+    button.classList.toggle("active", contained);
+    button.textContent = `${contained ? "✓" : "＋"} ${playlist.name} (${
+      playlist.videos.length
+    })`;
+    button.addEventListener("click", () => {
+      addVideosToPlaylist(playlist, playlistPickerVideos);
+      document.getElementById("addToPlaylistModal").style.display = "none";
+    });
+    list.appendChild(button);
+  });
+}
+
+document.getElementById("addToPlaylistCreate").addEventListener("click", () => {
+  const input = document.getElementById("addToPlaylistName");
+  const name = input.value.trim();
+  if (!name) {
+    alert("Please enter a playlist name");
+    return;
+  }
+  if (playlists.some((p) => p.name === name)) {
+    alert("A playlist with that name already exists");
+    return;
+  }
+
+  const playlist = { name, videos: [] };
+  playlists.push(playlist);
+  addVideosToPlaylist(playlist, playlistPickerVideos);
+  document.getElementById("addToPlaylistModal").style.display = "none";
+});
+
+document
+  .getElementById("playerAddToPlaylistBtn")
+  .addEventListener("click", () => {
+    if (currentVideo) showPlaylistModal(currentVideo.id);
+  });
+
+document.getElementById("createPlaylist").addEventListener("click", () => {
+  const name = document.getElementById("playlistName").value.trim();
+  if (!name) {
+    alert("Please enter a playlist name");
+    return;
+  }
+  if (playlists.some((p) => p.name === name)) {
+    alert("A playlist with that name already exists");
+    return;
+  }
+
+  playlists.push({ name, videos: [] });
+  savePlaylists();
+  document.getElementById("playlistName").value = "";
+});
+
+document.getElementById("savePlaylist").addEventListener("click", async () => {
+  const name = document.getElementById("playlistName").value.trim();
+  if (!name) {
+    alert("Please enter a playlist name");
+    return;
+  }
+  if (playlists.some((p) => p.name === name)) {
+    alert("A playlist with that name already exists");
+    return;
+  }
+
+  const root = getSelectedRoot();
+  if (!root) {
+    alert(
+      libraryRoots.length
+        ? "Pick a library folder in the folder tree first!"
+        : "Please add a folder first!",
+    );
+    return;
+  }
+
+  // Save the directory handle reference
+  const folderName = root.name;
+  const newPlaylist = {
+    name,
+    folderName,
+    folderHandle: root.handle,
+    savedDate: Date.now(),
+  };
+  playlists.push(newPlaylist);
+
+  // Save handle to IndexedDB
+  try {
+    const db = await openHandlesDB();
+    await saveHandleToDB(db, name, root.handle);
+  } catch (e) {
+    console.error("Failed to save folder handle:", e);
+  }
+
+  savePlaylists();
+
+  document.getElementById("playlistName").value = "";
+  alert(`Saved playlist: ${name}\nFolder: ${folderName}`);
+});
+
+// Resolves true once the playlist's videos are showing in the grid
+window.loadPlaylist = async (index) => {
+  const playlist = playlists[index];
+  if (!playlist) {
+    alert("Playlist not found!");
+    return false;
+  }
+
+  // Check if this is a folder-based playlist
+  if (playlist.folderHandle) {
+    try {
+      document.getElementById("loading").style.display = "flex";
+      document.getElementById("playlistModal").style.display = "none";
+
+      // Request permission
+      const permission = await playlist.folderHandle.queryPermission({
+        mode: "read",
+      });
+      if (permission !== "granted") {
+        const newPermission = await playlist.folderHandle.requestPermission({
+          mode: "read",
+        });
+        if (newPermission !== "granted") {
+          alert("Permission denied. Please re-add this playlist.");
+          document.getElementById("loading").style.display = "none";
+          return false;
+        }
+      }
+
+      // The folder joins the library and the grid narrows to it
+      const location = await ensureLibraryRoot(playlist.folderHandle);
+      if (libraryJobs.size === 0) hideLoading();
+      if (!location) return false;
+
+      activePlaylist = null;
+      showFavoritesOnly = false;
+      selectedFolder = getVideoFolderPath({
+        root: location.root.id,
+        folder: location.folder,
+      });
+      updateDisplay();
+
+      // Show success indicator
+      const count = allVideos.filter((video) =>
+        isInFolder(video, selectedFolder),
+      ).length;
+      const indicator = document.getElementById("playlistIndicator");
+      indicator.textContent = `📋 ${playlist.name} (${count} videos)`;
+      indicator.style.display = "inline-block";
+      indicator.style.cursor = "pointer";
+      indicator.title = "Click to show all videos";
+      indicator.onclick = () => {
+        indicator.style.display = "none";
+        selectedFolder = "";
+        updateDisplay();
+      };
+      return true;
+    } catch (error) {
+      console.error("Error loading playlist:", error);
+      alert(
+        "Failed to load playlist. The folder may have been moved or deleted.",
+      );
+      hideLoading();
+      return false;
+    }
+  } else if (playlist.videos) {
+    // Old-style playlist with video IDs
+    activePlaylist = playlist;
+    showFavoritesOnly = false;
+    updateDisplay();
+
+    const indicator = document.getElementById("playlistIndicator");
+    indicator.textContent = `📋 ${playlist.name}`;
+    indicator.style.display = "inline-block";
+    indicator.style.cursor = "pointer";
+    indicator.title = "Click to show all videos";
+    indicator.onclick = clearPlaylist;
+
+    document.getElementById("playlistModal").style.display = "none";
+    return true;
+  }
+  return false;
+};
+window.clearPlaylist = () => {
+  activePlaylist = null;
+  const indicator = document.getElementById("playlistIndicator");
+  indicator.style.display = "none";
+  updateDisplay();
+};
 
 window.deletePlaylist = (index) => {
   if (confirm("Delete this playlist?")) {
@@ -631,483 +2505,4921 @@ window.deletePlaylist = (index) => {
     if (activePlaylist && playlists[index] === activePlaylist) {
       clearPlaylist();
     }
-    playlists.splice(index, 1);
-    localStorage.setItem("playlists", JSON.stringify(playlists));
-    displayPlaylists();
+    playlists.splice(index, 1);
+    expandedPlaylist = null;
+    savePlaylists();
+  }
+};
+
+// Keyboard shortcuts
+document.addEventListener("keydown", (e) => {
+  const videoPlayer = document.getElementById("mainVideoPlayer");
+  const videoModal = document.getElementById("videoModal");
+
+  // Typing in a field (a bookmark note, a number with a decimal point, a
+  // setting) shouldn't control playback
+  if (
+    (e.target.matches?.("input, select, textarea") ||
+      e.target.isContentEditable) &&
+    e.key !== "Escape"
+  ) {
+    return;
+  }
+
+  // Only handle shortcuts when video is playing
+  if (videoModal.style.display !== "flex") {
+    // Global shortcut for search
+    if (e.ctrlKey && e.key === "f") {
+      e.preventDefault();
+      document.getElementById("search").focus();
+    }
+    return;
+  }
+
+  switch (e.key) {
+    case " ":
+      e.preventDefault();
+      videoPlayer.paused ? videoPlayer.play() : videoPlayer.pause();
+      break;
+    case "f":
+    case "F":
+      e.preventDefault();
+      document.getElementById("fullscreenBtn").click();
+      break;
+    case "p":
+    case "P":
+      e.preventDefault();
+      document.getElementById("pipBtn").click();
+      break;
+    case "ArrowLeft":
+      e.preventDefault();
+      if (e.shiftKey) {
+        jumpToBookmark(-1);
+        break;
+      }
+      videoPlayer.currentTime = Math.max(
+        0,
+        videoPlayer.currentTime - settings.seekStep,
+      );
+      break;
+    case "ArrowRight":
+      e.preventDefault();
+      if (e.shiftKey) {
+        jumpToBookmark(1);
+        break;
+      }
+      videoPlayer.currentTime = Math.min(
+        videoPlayer.duration,
+        videoPlayer.currentTime + settings.seekStep,
+      );
+      break;
+    case "ArrowUp":
+      e.preventDefault();
+      videoPlayer.volume = Math.min(1, videoPlayer.volume + 0.1);
+      break;
+    case "ArrowDown":
+      e.preventDefault();
+      videoPlayer.volume = Math.max(0, videoPlayer.volume - 0.1);
+      break;
+    case "n":
+      e.preventDefault();
+      playNext();
+      break;
+    case "N":
+      e.preventDefault();
+      playPrevious();
+      break;
+    case "c":
+    case "C":
+      e.preventDefault();
+      if (activeSubtitle === -1 && subtitleTracks.length > 0) {
+        selectSubtitle(0);
+      } else {
+        selectSubtitle(-1);
+      }
+      showPlayerStatus(
+        activeSubtitle === -1
+          ? "Subtitles off"
+          : `Subtitles: ${subtitleTracks[activeSubtitle].label}`,
+      );
+      break;
+    case ",":
+      e.preventDefault();
+      stepFrame(-1);
+      break;
+    case ".":
+      e.preventDefault();
+      stepFrame(1);
+      break;
+    case "[":
+      e.preventDefault();
+      setLoopPoint("a");
+      break;
+    case "]":
+      e.preventDefault();
+      setLoopPoint("b");
+      break;
+    case "<":
+      e.preventDefault();
+      setPlaybackSpeed(playbackSpeed - 0.1);
+      showPlayerStatus(`Speed ${playbackSpeed}x`);
+      break;
+    case ">":
+      e.preventDefault();
+      setPlaybackSpeed(playbackSpeed + 0.1);
+      showPlayerStatus(`Speed ${playbackSpeed}x`);
+      break;
+    case "s":
+    case "S":
+      e.preventDefault();
+      takeSnapshot();
+      break;
+    case "i":
+      e.preventDefault();
+      setClipPoint("in");
+      break;
+    case "o":
+      e.preventDefault();
+      setClipPoint("out");
+      break;
+    case "b":
+      e.preventDefault();
+      addBookmark();
+      break;
+    case "B":
+      e.preventDefault();
+      document.getElementById("bookmarkBtn").click();
+      break;
+    case "Escape":
+      closeVideoModal();
+      break;
+  }
+});
+
+// Keyboard shortcuts toggle
+document.getElementById("toggleShortcuts").addEventListener("click", () => {
+  document.querySelector(".shortcuts-content").classList.toggle("show");
+});
+
+// Drag and drop support
+const dropOverlay = document.getElementById("dropOverlay");
+
+["dragenter", "dragover", "dragleave", "drop"].forEach((eventName) => {
+  document.body.addEventListener(eventName, preventDefaults, false);
+});
+
+function preventDefaults(e) {
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+["dragenter", "dragover"].forEach((eventName) => {
+  document.body.addEventListener(
+    eventName,
+    (e) => {
+      // Ignore internal drags such as reordering the play queue
+      if (!e.dataTransfer.types.includes("Files")) return;
+      dropOverlay.classList.add("active");
+    },
+    false,
+  );
+});
+
+["dragleave", "drop"].forEach((eventName) => {
+  document.body.addEventListener(
+    eventName,
+    () => {
+      dropOverlay.classList.remove("active");
+    },
+    false,
+  );
+});
+
+document.body.addEventListener("drop", handleDrop, false);
+
+async function handleDrop(e) {
+  const dt = e.dataTransfer;
+  const files = [...dt.files].filter((file) => {
+    const ext = file.name.split(".").pop().toLowerCase();
+    return ["mp4", "mov", "avi", "mkv", "webm", "ogg", "flv", "wmv"].includes(
+      ext,
+    );
+  });
+  const subtitleFiles = [...dt.files].filter(isSubtitleFile);
+
+  // Subtitles dropped on the open player load straight into it
+  const playerOpen =
+    document.getElementById("videoModal").style.display === "flex";
+  if (files.length === 0 && subtitleFiles.length > 0 && playerOpen) {
+    for (const file of subtitleFiles) await addSubtitleFile(file);
+    return;
+  }
+
+  // Dropped files join the library next to its folders
+  if (files.length > 0) {
+    const videoFiles = files.map((file) => ({
+      file,
+      root: DROPPED_ROOT,
+      folder: "",
+      relativePath: file.name,
+    }));
+    attachSubtitles(videoFiles, subtitleFiles);
+    await addVideosToLibrary(videoFiles);
+  }
+}
+
+document
+  .getElementById("selectFolder")
+  .addEventListener("click", addLibraryFolder);
+
+// Reads the directory recursively and returns an array of video file objects
+async function readDirectory(directoryHandle, parentPath = "") {
+  const validExtensions = [
+    "mp4",
+    "mov",
+    "avi",
+    "mkv",
+    "webm",
+    "ogg",
+    "flv",
+    "wmv",
+  ];
+  const files = [];
+  const subtitles = [];
+
+  for await (const entry of directoryHandle.values()) {
+    const entryPath = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+    if (entry.kind === "file") {
+      const file = await entry.getFile();
+      const extension = file.name.split(".").pop().toLowerCase();
+      if (validExtensions.includes(extension)) {
+        files.push({ file, folder: parentPath, relativePath: entryPath });
+      } else if (SUBTITLE_EXTENSIONS.includes(extension)) {
+        subtitles.push(file);
+      }
+    } else if (entry.kind === "directory" && entryPath !== TRASH_FOLDER) {
+      // Walk nested folders (e.g. Year/Project/Take)
+      files.push(...(await readDirectory(entry, entryPath)));
+    }
+  }
+
+  // Sidecar subtitles only match videos in the same folder
+  attachSubtitles(
+    files.filter((video) => video.folder === parentPath),
+    subtitles,
+  );
+  return files;
+}
+
+// ==================== LIBRARY ROOTS ====================
+
+function saveLibraryRoots() {
+  saveCollection("libraryRoots");
+}
+
+function getRoot(id) {
+  return libraryRoots.find((root) => root.id === id);
+}
+
+// The folder handle a video was read from (null for dropped files)
+function getRootHandle(video) {
+  return getRoot(video.root)?.handle || null;
+}
+
+function getRootLabel(id) {
+  if (id === DROPPED_ROOT) return "Dropped files";
+  return getRoot(id)?.name || "Removed folder";
+}
+
+// Roots that are switched on and readable
+function getActiveRoots() {
+  return libraryRoots.filter(
+    (root) => root.enabled && root.handle && root.access === "granted",
+  );
+}
+
+// Once the library spans several roots, folder paths in the tree and
+// facets start with the root's name
+function getVideoFolderPath(video) {
+  return multipleRoots
+    ? joinPath(getRootLabel(video.root), video.folder)
+    : video.folder;
+}
+
+// The root picked in the folder tree, or the only one in the library
+function getSelectedRoot() {
+  const roots = getActiveRoots();
+  if (roots.length === 1) return roots[0];
+  return (
+    roots.find(
+      (root) =>
+        selectedFolder === root.name ||
+        selectedFolder.startsWith(`${root.name}/`),
+    ) || null
+  );
+}
+
+// Reads the given roots and adds their videos to the library. A root that
+// is already being read waits for that scan instead of starting another.
+async function scanRoots(roots) {
+  const fresh = roots.filter((root) => !rootScans.has(root.id));
+  if (fresh.length > 0) {
+    const scan = readRoots(fresh).finally(() =>
+      fresh.forEach((root) => rootScans.delete(root.id)),
+    );
+    fresh.forEach((root) => rootScans.set(root.id, scan));
+  }
+  await Promise.all(roots.map((root) => rootScans.get(root.id)));
+}
+
+async function readRoots(roots) {
+  document.getElementById("loading").style.display = "flex";
+  const files = [];
+  for (const root of roots) {
+    try {
+      const found = await readDirectory(root.handle);
+      files.push(...found.map((file) => ({ ...file, root: root.id })));
+    } catch (error) {
+      console.error(`Could not read "${root.name}":`, error);
+      root.access = "missing";
+    }
+  }
+  // A root switched off or removed meanwhile must not get its videos back
+  const active = new Set(getActiveRoots().map((root) => root.id));
+  await addVideosToLibrary(files.filter((file) => active.has(file.root)));
+  if (libraryJobs.size === 0) hideLoading();
+  renderLibraryRoots();
+}
+
+function removeRootVideos(rootId) {
+  const removed = allVideos.filter((video) => video.root === rootId);
+  allVideos = allVideos.filter((video) => video.root !== rootId);
+  removed.forEach((video) => selectedVideos.delete(video.id));
+  updateBatchInfo();
+  updateDisplay();
+}
+
+// Adds a folder as a new root, or switches on the root it already is.
+// Folders inside (or containing) an existing root are refused so no file
+// is listed twice.
+async function addRootHandle(handle) {
+  for (const root of libraryRoots) {
+    if (!root.handle) continue;
+    if (await root.handle.isSameEntry(handle)) {
+      if (root.access !== "granted") {
+        root.access = await root.handle.requestPermission({ mode: "read" });
+      }
+      if (!root.enabled) {
+        root.enabled = true;
+        saveLibraryRoots();
+      }
+      libraryRootsChanged();
+      await scanRoots(root.access === "granted" ? [root] : []);
+      return root;
+    }
+    if (
+      (await root.handle.resolve(handle)) ||
+      (await handle.resolve(root.handle))
+    ) {
+      alert(
+        `"${handle.name}" overlaps "${root.name}", which is already in the library.`,
+      );
+      return null;
+    }
+  }
+
+  let name = handle.name;
+  for (let n = 2; libraryRoots.some((root) => root.name === name); n++) {
+    name = `${handle.name} (${n})`;
+  }
+  const root = {
+    id: `root_${Date.now().toString(36)}`,
+    name,
+    enabled: true,
+    handle,
+    access: "granted",
+  };
+  libraryRoots.push(root);
+  saveLibraryRoots();
+  try {
+    const db = await openHandlesDB();
+    await saveHandleToDB(db, ROOT_HANDLE_PREFIX + root.id, handle);
+  } catch (e) {
+    console.error("Failed to save folder handle:", e);
+  }
+
+  libraryRootsChanged();
+  await scanRoots([root]);
+  return root;
+}
+
+// Finds the root holding a folder (adding the folder as a new root when
+// none does) and returns { root, folder } with the path inside that root
+async function ensureLibraryRoot(handle) {
+  for (const root of libraryRoots) {
+    if (!root.handle) continue;
+    const path = await root.handle.resolve(handle);
+    if (!path) continue;
+    if (!root.enabled || root.access !== "granted") {
+      await addRootHandle(root.handle);
+    }
+    return { root, folder: path.join("/") };
+  }
+  const root = await addRootHandle(handle);
+  return root && { root, folder: "" };
+}
+
+async function addLibraryFolder() {
+  try {
+    await addRootHandle(await window.showDirectoryPicker());
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      console.error("Error accessing directory:", error);
+    }
+    hideLoading();
+  }
+}
+
+// Asks again for every enabled root the browser no longer allows, from a
+// single click, then loads the ones granted
+async function restoreRootAccess() {
+  const granted = [];
+  for (const root of libraryRoots) {
+    if (!root.enabled || !root.handle || root.access === "granted") continue;
+    try {
+      root.access = await root.handle.requestPermission({ mode: "read" });
+    } catch (e) {
+      root.access = "missing";
+    }
+    if (root.access === "granted") granted.push(root);
+  }
+  libraryRootsChanged();
+  await scanRoots(granted);
+}
+
+// Refreshes every view of the root list
+function libraryRootsChanged() {
+  renderLibraryRoots();
+  updateAccessBanner();
+  updateFolderWatch();
+}
+
+function updateAccessBanner() {
+  const waiting = libraryRoots.filter(
+    (root) => root.enabled && root.handle && root.access !== "granted",
+  );
+  document.getElementById("accessBanner").style.display = waiting.length
+    ? "flex"
+    : "none";
+  document.getElementById("accessBannerText").textContent =
+    `🔒 ${waiting.length} library folder${
+      waiting.length !== 1 ? "s need" : " needs"
+    } permission to load: ${waiting.map((root) => root.name).join(", ")}`;
+}
+
+function renderLibraryRoots() {
+  const list = document.getElementById("libraryRootList");
+  if (libraryRoots.length === 0) {
+    list.innerHTML =
+      '<p class="no-playlists">No folders yet. Add one to start your library.</p>';
+    return;
+  }
+
+  const counts = new Map();
+  allVideos.forEach((video) => {
+    counts.set(video.root, (counts.get(video.root) || 0) + 1);
+  });
+  const status = {
+    granted: "",
+    prompt: "🔒 Needs permission",
+    denied: "🔒 Permission denied",
+    missing: "⚠️ Unavailable",
+  };
+
+  list.innerHTML = libraryRoots
+    .map(
+      (root, index) => `
+      <div class="playlist-item library-root ${root.enabled ? "" : "disabled"}">
+        <div class="playlist-row">
+          <label class="library-root-toggle" title="Include in the library">
+            <input type="checkbox" ${root.enabled ? "checked" : ""}
+              onchange="toggleLibraryRoot(${index})">
+            <div class="playlist-info">
+              <h4>🗂️ ${escapeHtml(root.name)}</h4>
+              <span>${counts.get(root.id) || 0} videos ${
+                root.enabled ? status[root.access] || "" : "· Off"
+              }</span>
+            </div>
+          </label>
+          <div class="playlist-actions">
+            <button onclick="removeLibraryRoot(${index})" title="Remove from library">🗑️</button>
+          </div>
+        </div>
+      </div>
+    `,
+    )
+    .join("");
+}
+
+window.toggleLibraryRoot = async (index) => {
+  const root = libraryRoots[index];
+  root.enabled = !root.enabled;
+  saveLibraryRoots();
+  if (!root.enabled) {
+    removeRootVideos(root.id);
+  } else if (root.handle && root.access !== "granted") {
+    try {
+      root.access = await root.handle.requestPermission({ mode: "read" });
+    } catch (e) {
+      root.access = "missing";
+    }
+  }
+  libraryRootsChanged();
+  if (root.enabled && root.access === "granted") await scanRoots([root]);
+};
+
+window.removeLibraryRoot = async (index) => {
+  const root = libraryRoots[index];
+  if (
+    !confirm(
+      `Remove "${root.name}" from the library? Files on disk are not touched.`,
+    )
+  ) {
+    return;
+  }
+  libraryRoots.splice(index, 1);
+  saveLibraryRoots();
+  try {
+    const db = await openHandlesDB();
+    await deleteHandleFromDB(db, ROOT_HANDLE_PREFIX + root.id);
+  } catch (e) {
+    console.error("Failed to delete folder handle:", e);
+  }
+  removeRootVideos(root.id);
+  libraryRootsChanged();
+};
+
+document.getElementById("libraryBtn").addEventListener("click", () => {
+  renderLibraryRoots();
+  document.getElementById("libraryModal").style.display = "flex";
+});
+
+document
+  .getElementById("addLibraryFolder")
+  .addEventListener("click", addLibraryFolder);
+
+document
+  .getElementById("restoreAccessBtn")
+  .addEventListener("click", restoreRootAccess);
+
+// Finds the saved folder of every root that has none yet, after startup,
+// a restore or another change to the list. Enabled roots the browser still
+// allows load right away; the rest wait for one click on the access banner.
+async function connectLibraryRoots() {
+  const waiting = libraryRoots.filter(
+    (root) => !root.handle && root.access === "prompt",
+  );
+  try {
+    const db = await openHandlesDB();
+    for (const root of waiting) {
+      root.handle = await getHandleFromDB(db, ROOT_HANDLE_PREFIX + root.id);
+      root.access = root.handle
+        ? await root.handle.queryPermission({ mode: "read" })
+        : "missing";
+    }
+  } catch (e) {
+    console.log("Could not restore library folders:", e);
+  }
+  libraryRootsChanged();
+  await scanRoots(
+    getActiveRoots().filter(
+      (root) => !allVideos.some((video) => video.root === root.id),
+    ),
+  );
+}
+
+onStoreChange(["libraryRoots"], connectLibraryRoots);
+
+// ==================== FOLDER WATCH ====================
+
+// Re-reads the library folders and applies only the differences: missing
+// files leave the library, new or edited ones are identified and get
+// thumbnails, and everything else keeps its entry untouched.
+async function rescanLibrary() {
+  if (rescanRunning) {
+    rescanPending = true;
+    return;
+  }
+  // Roots still being loaded are read by their own scan
+  const roots = getActiveRoots().filter((root) => !rootScans.has(root.id));
+  if (roots.length === 0) return;
+  rescanRunning = true;
+  try {
+    // A root that can't be read keeps its videos until it comes back
+    const scannedRoots = new Set();
+    let files = [];
+    for (const root of roots) {
+      try {
+        const found = await readDirectory(root.handle);
+        files.push(...found.map((file) => ({ ...file, root: root.id })));
+        scannedRoots.add(root.id);
+      } catch (error) {
+        console.error(`Could not read "${root.name}":`, error);
+      }
+    }
+    // Skip roots switched off or removed while reading
+    const active = new Set(getActiveRoots().map((root) => root.id));
+    files = files.filter((file) => active.has(file.root));
+
+    const scanned = new Map(files.map((file) => [getLibraryKey(file), file]));
+    const removed = allVideos.filter(
+      (video) =>
+        scannedRoots.has(video.root) &&
+        active.has(video.root) &&
+        !scanned.has(getLibraryKey(video)),
+    );
+    const kept = new Map(
+      allVideos
+        .filter((video) => !removed.includes(video))
+        .map((video) => [getLibraryKey(video), video]),
+    );
+    const added = files.filter((file) => !kept.has(getLibraryKey(file)));
+
+    // Sidecar subtitles may have appeared next to unchanged videos
+    kept.forEach((video, key) => {
+      if (scanned.has(key)) video.subtitles = scanned.get(key).subtitles;
+    });
+
+    if (removed.length > 0) {
+      allVideos = allVideos.filter((video) => !removed.includes(video));
+      removed.forEach((video) => selectedVideos.delete(video.id));
+      updateBatchInfo();
+      updateDisplay();
+    }
+    if (added.length > 0) await addVideosToLibrary(added);
+
+    // A file at the same path with a new size or date was edited
+    const removedPaths = new Set(
+      removed.map((video) => `${video.root}|${video.relativePath}`),
+    );
+    const changed = added.filter((file) =>
+      removedPaths.has(`${file.root}|${file.relativePath}`),
+    ).length;
+    const result = {
+      added: added.length - changed,
+      removed: removed.length - changed,
+      changed,
+    };
+    const changes = [];
+    if (result.added > 0) {
+      changes.push(`${result.added} new video${result.added !== 1 ? "s" : ""}`);
+    }
+    if (result.changed > 0) changes.push(`${result.changed} changed`);
+    if (result.removed > 0) changes.push(`${result.removed} removed`);
+    if (changes.length > 0) showToast(changes.join(" · "));
+    return result;
+  } catch (error) {
+    console.error("Rescan failed:", error);
+  } finally {
+    rescanRunning = false;
+    if (rescanPending) {
+      rescanPending = false;
+      rescanLibrary();
+    }
+  }
+}
+
+// Watches with FileSystemObserver where the browser has it, otherwise polls
+// every watchInterval seconds. Restarted whenever the library folders or
+// the setting change.
+async function updateFolderWatch() {
+  if (folderWatch) {
+    folderWatch.stop();
+    folderWatch = null;
+  }
+  const roots = getActiveRoots();
+  if (!settings.watchFolder || roots.length === 0) return;
+
+  if ("FileSystemObserver" in window) {
+    let timer = null;
+    const observer = new FileSystemObserver(() => {
+      clearTimeout(timer);
+      timer = setTimeout(rescanLibrary, RESCAN_DEBOUNCE_MS);
+    });
+    folderWatch = {
+      stop: () => {
+        clearTimeout(timer);
+        observer.disconnect();
+      },
+    };
+    try {
+      for (const root of roots) {
+        await observer.observe(root.handle, { recursive: true });
+      }
+      return;
+    } catch (error) {
+      console.log("Folder observer unavailable, polling instead:", error);
+      folderWatch.stop();
+    }
+  }
+
+  const interval = setInterval(rescanLibrary, settings.watchInterval * 1000);
+  folderWatch = { stop: () => clearInterval(interval) };
+}
+
+document.getElementById("rescanBtn").addEventListener("click", async () => {
+  if (getActiveRoots().length === 0) {
+    alert("Please add a folder first!");
+    return;
+  }
+  const result = await rescanLibrary();
+  if (result && result.added + result.removed + result.changed === 0) {
+    showToast("No changes found");
+  }
+});
+
+const watchFolderInput = document.getElementById("watchFolderInput");
+watchFolderInput.addEventListener("change", () => {
+  settings.watchFolder = watchFolderInput.checked;
+  saveSettings();
+});
+
+// Restarts the watch only when its own settings change
+onStoreChange(["settings"], () => {
+  watchFolderInput.checked = settings.watchFolder;
+  const watchSettings = `${settings.watchFolder}|${settings.watchInterval}`;
+  if (watchSettings === folderWatchSettings) return;
+  folderWatchSettings = watchSettings;
+  updateFolderWatch();
+});
+
+// ==================== SEARCH QUERY ====================
+
+// Splits the search box into terms: words, "quoted phrases" and
+// field:value filters, each optionally negated with a leading "-"
+function parseSearchQuery(query) {
+  const terms = [];
+  const errors = [];
+  // Inside quotes, \" is a quote and \\ a backslash
+  const pattern = /(-?)(?:([a-z]+):)?(?:"((?:[^"\\]|\\.)*)("?)|(\S+))/gi;
+
+  for (const [, minus, field, quoted, closingQuote, word] of query.matchAll(
+    pattern,
+  )) {
+    const negate = minus === "-";
+    const phrase = quoted?.replace(/\\(.)/g, "$1");
+    if (phrase !== undefined && !closingQuote) {
+      errors.push("Missing closing quote");
+      continue;
+    }
+    if (field) {
+      const term = parseSearchFilter(field.toLowerCase(), phrase ?? word);
+      if (term.error) {
+        errors.push(term.error);
+      } else {
+        terms.push({ ...term, negate });
+      }
+    } else if (/^[a-z]+:$/i.test(word || "")) {
+      errors.push(`Missing value after "${word}"`);
+    } else if (phrase !== undefined) {
+      if (phrase) {
+        terms.push({ type: "phrase", text: phrase.toLowerCase(), negate });
+      }
+    } else {
+      terms.push({ type: "word", text: word.toLowerCase(), negate });
+    }
+  }
+
+  // Bad terms are skipped so the rest of the query still filters
+  return { terms, error: errors[0] || null };
+}
+
+// Parses the value of a single field:value filter
+function parseSearchFilter(field, value) {
+  const text = value.toLowerCase();
+  switch (field) {
+    case "tag":
+      return { type: "tag", text };
+    case "ext":
+      return { type: "ext", text: text.replace(/^\./, "") };
+    case "fav":
+      if (["yes", "true", "1"].includes(text)) {
+        return { type: "fav", value: true };
+      }
+      if (["no", "false", "0"].includes(text)) {
+        return { type: "fav", value: false };
+      }
+      return { error: `fav: expects yes or no, not "${value}"` };
+    case "duration": {
+      const term = parseSearchComparison(field, text, parseDurationValue);
+      // Equality holds to the last unit typed, so "10m" means 10:00–10:59
+      term.precision = { h: 3600, m: 60 }[text.slice(-1)] || 1;
+      return term;
+    }
+    case "res":
+      return parseSearchComparison(field, text, parseResolutionValue);
+    case "size":
+      return parseSearchComparison(field, text, parseSizeValue);
+    default:
+      return { error: `Unknown filter "${field}:"` };
+  }
+}
+
+// Reads an optional comparison operator followed by a value, e.g. ">=1080"
+function parseSearchComparison(field, text, parseValue) {
+  const [, op = "=", amount] = text.match(/^(>=|<=|>|<|=)?(.*)$/);
+  const value = parseValue(amount);
+  if (value === null) {
+    return { error: `Can't read "${text}" for ${field}:` };
+  }
+  return { type: field, op, value };
+}
+
+// "90", "90s", "10m", "1h30m" or "1:30:00" -> seconds
+function parseDurationValue(text) {
+  if (/^\d+(:\d{1,2})+$/.test(text)) {
+    return text
+      .split(":")
+      .reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  const match = text.match(
+    /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s?)?$/,
+  );
+  if (!text || !match) return null;
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+// "1080", "1080p" or "4k" -> lines on the short side of the frame
+function parseResolutionValue(text) {
+  const kMatch = text.match(/^(\d+)k$/);
+  if (kMatch) return { 2: 1440, 4: 2160, 8: 4320 }[kMatch[1]] ?? null;
+  const match = text.match(/^(\d+)p?$/);
+  return match ? Number(match[1]) : null;
+}
+
+// "500MB", "1.5gb" or "700" (megabytes) -> bytes
+function parseSizeValue(text) {
+  const match = text.match(/^(\d+(?:\.\d+)?)(b|kb|mb|gb|tb)?$/);
+  if (!match) return null;
+  const units = { b: 0, kb: 1, mb: 2, gb: 3, tb: 4 };
+  return Number(match[1]) * 1024 ** units[match[2] || "mb"];
+}
+
+function compareSearchValue(actual, op, expected) {
+  switch (op) {
+    case ">":
+      return actual > expected;
+    case ">=":
+      return actual >= expected;
+    case "<":
+      return actual < expected;
+    case "<=":
+      return actual <= expected;
+    default:
+      return actual === expected;
+  }
+}
+
+// True when the video satisfies every term of a parsed query
+function matchesSearchQuery(video, search) {
+  return search.terms.every(
+    (term) => matchesSearchTerm(video, term) !== term.negate,
+  );
+}
+
+function matchesSearchTerm(video, term) {
+  const path = (video.relativePath || video.file.name).toLowerCase();
+  const tags = (videoTags[video.id] || []).map((tag) => tag.toLowerCase());
+
+  switch (term.type) {
+    case "word":
+      return (
+        !!findFuzzyMatch(term.text, path) ||
+        tags.some((tag) => tag.includes(term.text))
+      );
+    case "phrase":
+      return path.includes(term.text);
+    case "tag":
+      return tags.includes(term.text);
+    case "ext":
+      return video.file.name.split(".").pop().toLowerCase() === term.text;
+    case "fav":
+      return !!video.isFavorite === term.value;
+    case "duration":
+      if (term.op === "=") {
+        return (
+          video.meta.duration >= term.value &&
+          video.meta.duration < term.value + term.precision
+        );
+      }
+      return compareSearchValue(video.meta.duration, term.op, term.value);
+    case "res": {
+      const [width, height] = video.meta.resolution.split("x").map(Number);
+      return compareSearchValue(Math.min(width, height), term.op, term.value);
+    }
+    case "size":
+      return compareSearchValue(video.meta.size, term.op, term.value);
+    default:
+      return true;
+  }
+}
+
+// Finds term in text, tolerating a typo in longer words (two from 8
+// letters up); returns the matched [start, end] range or null
+function findFuzzyMatch(term, text) {
+  const index = text.indexOf(term);
+  if (index !== -1) return [index, index + term.length];
+
+  const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (!maxEdits) return null;
+
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0];
+    const start = match.index;
+    // Compare against the whole word and against the part typed so far
+    const prefix = word.slice(0, term.length);
+    const wordEdits = editDistance(term, word);
+    const prefixEdits = editDistance(term, prefix);
+    if (Math.min(wordEdits, prefixEdits) <= maxEdits) {
+      const length = wordEdits <= prefixEdits ? word.length : prefix.length;
+      return [start, start + length];
+    }
+  }
+  return null;
+}
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Range of the name matched by a word or phrase term, or null
+function findSearchTermMatch(term, lowerName) {
+  if (term.negate) return null;
+  if (term.type === "word") return findFuzzyMatch(term.text, lowerName);
+  if (term.type !== "phrase") return null;
+  const index = lowerName.indexOf(term.text);
+  return index === -1 ? null : [index, index + term.text.length];
+}
+
+// Wraps the parts of a file name matched by the search in <mark>
+function highlightSearchMatches(name) {
+  // Lowercased one character at a time, keeping any that would change
+  // length ("İ" becomes two code units), so match positions fit the name
+  const lowerName = Array.from(name, (char) => {
+    const lower = char.toLowerCase();
+    return lower.length === char.length ? lower : char;
+  }).join("");
+  const ranges = activeSearch.terms
+    .map((term) => findSearchTermMatch(term, lowerName))
+    .filter(Boolean)
+    .sort((a, b) => a[0] - b[0]);
+
+  let html = "";
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (end <= position) return;
+    start = Math.max(start, position);
+    html += `${escapeHtml(name.slice(position, start))}<mark>${escapeHtml(
+      name.slice(start, end),
+    )}</mark>`;
+    position = end;
+  });
+  return html + escapeHtml(name.slice(position));
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Shows why part of the query was ignored, right under the search box
+function showSearchError(message) {
+  const searchInput = document.getElementById("search");
+  const errorEl = document.getElementById("searchError");
+  searchInput.classList.toggle("invalid", !!message);
+  errorEl.textContent = message ? `⚠️ ${message} — ignored` : "";
+  errorEl.style.display = message ? "block" : "none";
+}
+
+// ==================== VIDEO IDENTITY ====================
+
+// The original ID; it changes whenever a file is renamed or copied
+function getLegacyVideoId(file) {
+  return `${file.name}_${file.size}_${file.lastModified}`;
+}
+
+// Hashes sampled byte ranges (start, middle, end) plus the file size
+async function computeFingerprint(file) {
+  const size = file.size;
+  const sample = FINGERPRINT_SAMPLE_BYTES;
+  const offsets = [
+    0,
+    Math.max(0, Math.floor(size / 2) - sample / 2),
+    Math.max(0, size - sample),
+  ];
+  const parts = await Promise.all(
+    offsets.map((offset) => file.slice(offset, offset + sample).arrayBuffer()),
+  );
+  const data = await new Blob([String(size), ...parts]).arrayBuffer();
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  const hex = [...new Uint8Array(digest).slice(0, 16)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  return `fp_${size}_${hex}`;
+}
+
+function hasMetadata(id) {
+  return (
+    favorites.includes(id) ||
+    !!videoTags[id] ||
+    !!watchHistory[id] ||
+    !!bookmarks[id] ||
+    playlists.some((p) => p.videos?.includes(id))
+  );
+}
+
+// Fingerprints the videos (reusing cached hashes) and switches them to
+// content-based IDs, re-linking metadata stored under their legacy IDs
+async function identifyVideos(videos, job, onProgress) {
+  let cacheDB = null;
+  let known = new Map();
+  try {
+    cacheDB = await openThumbnailCacheDB();
+    known = await getAllFingerprints(cacheDB);
+  } catch (e) {
+    console.log("Fingerprint cache unavailable:", e);
+  }
+
+  const missing = videos.filter((video) => !known.has(video.legacyId));
+  const computed = [];
+  let done = 0;
+  await runWithConcurrency(
+    missing,
+    settings.thumbnailConcurrency,
+    async (video) => {
+      try {
+        const fingerprint = await computeFingerprint(video.file);
+        known.set(video.legacyId, fingerprint);
+        computed.push({ legacyId: video.legacyId, fingerprint });
+      } catch (e) {
+        console.log("Could not fingerprint", video.file.name, e);
+      }
+      done++;
+      if (onProgress) onProgress(done, missing.length);
+    },
+    job,
+  );
+
+  if (cacheDB && computed.length > 0) {
+    try {
+      await saveFingerprints(cacheDB, computed);
+    } catch (e) {
+      console.log("Fingerprint cache write failed:", e);
+    }
+  }
+
+  videos.forEach((video) => {
+    video.contentHash = known.get(video.legacyId) || null;
+  });
+  assignContentIds(videos);
+  migrateLegacyMetadata(videos);
+}
+
+// Gives each fingerprinted video its content hash as ID. Identical copies
+// in the same library get a suffixed ID so every card stays unique; the
+// copy that already owns metadata keeps the plain hash.
+function assignContentIds(videos) {
+  const ranked = videos
+    .filter((video) => video.contentHash)
+    .sort((a, b) => {
+      const aOwns = hasMetadata(a.contentHash) || hasMetadata(a.legacyId);
+      const bOwns = hasMetadata(b.contentHash) || hasMetadata(b.legacyId);
+      if (aOwns !== bOwns) return aOwns ? -1 : 1;
+      return (a.relativePath || "").localeCompare(b.relativePath || "");
+    });
+
+  const used = new Set();
+  ranked.forEach((video) => {
+    video.id = used.has(video.contentHash)
+      ? `${video.contentHash}~${video.legacyId}`
+      : video.contentHash;
+    used.add(video.contentHash);
+  });
+}
+
+// Re-points favorites, tags, playlist entries, history and bookmarks from
+// one video ID to another, merging with anything the new ID already has
+function moveMetadata(from, to) {
+  if (from === to || !hasMetadata(from)) return false;
+
+  const favoriteIndex = favorites.indexOf(from);
+  if (favoriteIndex > -1) {
+    favorites.splice(favoriteIndex, 1);
+    if (!favorites.includes(to)) favorites.push(to);
+  }
+
+  if (videoTags[from]) {
+    videoTags[to] = [
+      ...new Set([...(videoTags[to] || []), ...videoTags[from]]),
+    ];
+    delete videoTags[from];
+  }
+
+  playlists.forEach((playlist) => {
+    if (!playlist.videos) return;
+    playlist.videos = [
+      ...new Set(playlist.videos.map((id) => (id === from ? to : id))),
+    ];
+  });
+
+  if (watchHistory[from]) {
+    if (!watchHistory[to]) watchHistory[to] = watchHistory[from];
+    delete watchHistory[from];
+  }
+
+  if (bookmarks[from]) {
+    bookmarks[to] = [...(bookmarks[to] || []), ...bookmarks[from]].sort(
+      (a, b) => a.time - b.time,
+    );
+    delete bookmarks[from];
+  }
+  return true;
+}
+
+function saveMetadata() {
+  saveCollection("favorites");
+  saveCollection("videoTags");
+  savePlaylists();
+  saveWatchHistory();
+  saveBookmarks();
+}
+
+// Moves favorites, tags, playlist entries and history from legacy IDs
+function migrateLegacyMetadata(videos) {
+  let changed = false;
+  videos.forEach((video) => {
+    if (moveMetadata(video.legacyId, video.id)) changed = true;
+  });
+
+  videos.forEach((video) => {
+    video.isFavorite = favorites.includes(video.id);
+  });
+
+  if (changed) saveMetadata();
+}
+
+// Lists metadata entries whose ID matches no file in the loaded library
+function findOrphanedMetadata() {
+  const known = new Set();
+  allVideos.forEach((video) => {
+    known.add(video.id);
+    known.add(video.legacyId);
+  });
+
+  const orphans = [];
+  favorites.forEach((id) => {
+    if (!known.has(id)) orphans.push({ kind: "favorite", id, detail: "⭐" });
+  });
+  Object.entries(videoTags).forEach(([id, tags]) => {
+    if (!known.has(id))
+      orphans.push({ kind: "tags", id, detail: tags.join(", ") });
+  });
+  playlists.forEach((playlist) => {
+    (playlist.videos || []).forEach((id) => {
+      if (!known.has(id)) {
+        orphans.push({ kind: "playlist", id, detail: playlist.name });
+      }
+    });
+  });
+  Object.entries(watchHistory).forEach(([id, entry]) => {
+    if (!known.has(id)) {
+      orphans.push({
+        kind: "history",
+        id,
+        detail: `played ${entry.playCount}×`,
+      });
+    }
+  });
+  Object.entries(bookmarks).forEach(([id, list]) => {
+    if (!known.has(id)) {
+      orphans.push({ kind: "bookmarks", id, detail: `${list.length} mark(s)` });
+    }
+  });
+  return orphans;
+}
+
+function removeOrphanedMetadata(orphans) {
+  const ids = new Set(orphans.map((orphan) => orphan.id));
+  favorites = favorites.filter((id) => !ids.has(id));
+  ids.forEach((id) => {
+    delete videoTags[id];
+    delete watchHistory[id];
+    delete bookmarks[id];
+  });
+  playlists.forEach((playlist) => {
+    if (playlist.videos) {
+      playlist.videos = playlist.videos.filter((id) => !ids.has(id));
+    }
+  });
+
+  saveMetadata();
+}
+
+// Legacy IDs embed the file name; content IDs do not
+function describeVideoId(id) {
+  const legacy = id.match(/^(.*)_\d+_\d+$/);
+  return legacy && !id.startsWith("fp_") ? legacy[1] : id;
+}
+
+function displayOrphanReport() {
+  const orphans = findOrphanedMetadata();
+  const labels = {
+    favorite: "Favorite",
+    tags: "Tags",
+    playlist: "Playlist",
+    history: "Watch history",
+    bookmarks: "Bookmarks",
+  };
+
+  document.getElementById("orphanSummary").textContent =
+    orphans.length === 0
+      ? `All metadata matches the ${allVideos.length} loaded video(s).`
+      : `${orphans.length} entr${
+          orphans.length === 1 ? "y matches" : "ies match"
+        } none of the ${allVideos.length} loaded video(s).`;
+
+  const list = document.getElementById("orphanList");
+  list.innerHTML = "";
+  orphans.forEach((orphan) => {
+    const row = document.createElement("tr");
+    row.innerHTML = "<td></td><td></td><td></td>";
+    row.children[0].textContent = labels[orphan.kind];
+    row.children[1].textContent = describeVideoId(orphan.id);
+    row.children[1].title = orphan.id;
+    row.children[2].textContent = orphan.detail;
+    list.appendChild(row);
+  });
+
+  const removeBtn = document.getElementById("removeOrphansBtn");
+  removeBtn.disabled = orphans.length === 0;
+  removeBtn.onclick = () => {
+    if (
+      !confirm(
+        `Remove ${orphans.length} orphaned entr${
+          orphans.length === 1 ? "y" : "ies"
+        }? Files that are not loaded right now will lose this metadata.`,
+      )
+    ) {
+      return;
+    }
+    removeOrphanedMetadata(orphans);
+    displayOrphanReport();
+    updateDisplay();
+  };
+}
+
+document.getElementById("orphanReportBtn").addEventListener("click", () => {
+  document.getElementById("settingsModal").style.display = "none";
+  document.getElementById("orphanModal").style.display = "flex";
+  displayOrphanReport();
+});
+
+// ==================== DUPLICATE FINDER ====================
+
+// Number of differing bits between two hex dHashes
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let diff =
+      parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Mean distance over frames sampled at the same relative positions
+function frameHashDistance(a, b) {
+  if (!a.frameHashes.length || !b.frameHashes.length) return Infinity;
+  const count =
+    a.frameHashes.length === b.frameHashes.length ? a.frameHashes.length : 1;
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    total += hammingDistance(a.frameHashes[i], b.frameHashes[i]);
+  }
+  return total / count;
+}
+
+function isNearDuplicate(a, b, acrossResolutions) {
+  const tolerance = Math.max(1, a.meta.duration * 0.01);
+  if (Math.abs(a.meta.duration - b.meta.duration) > tolerance) return false;
+  if (!acrossResolutions && a.meta.resolution !== b.meta.resolution) {
+    return false;
+  }
+  return frameHashDistance(a, b) <= NEAR_DUPLICATE_MAX_DISTANCE;
+}
+
+// Groups the library into exact copies (same content hash) and near
+// duplicates (same duration/resolution and visually similar frames)
+function findDuplicateGroups(videos, acrossResolutions) {
+  const byHash = new Map();
+  videos.forEach((video) => {
+    if (!video.contentHash) return;
+    if (!byHash.has(video.contentHash)) byHash.set(video.contentHash, []);
+    byHash.get(video.contentHash).push(video);
+  });
+  const exact = [...byHash.values()].filter((group) => group.length > 1);
+
+  // Union-find over candidates, compared only within the duration window
+  const candidates = videos
+    .filter((video) => video.meta.duration > 0 && video.frameHashes.length)
+    .sort((a, b) => a.meta.duration - b.meta.duration);
+  const parent = candidates.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < candidates.length; i++) {
+    const a = candidates[i];
+    const tolerance = Math.max(1, a.meta.duration * 0.01);
+    for (let j = i + 1; j < candidates.length; j++) {
+      const b = candidates[j];
+      if (b.meta.duration - a.meta.duration > tolerance) break;
+      if (a.contentHash && a.contentHash === b.contentHash) continue;
+      if (isNearDuplicate(a, b, acrossResolutions)) parent[find(j)] = find(i);
+    }
+  }
+
+  const clusters = new Map();
+  candidates.forEach((video, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(video);
+  });
+  const near = [...clusters.values()].filter(
+    (group) => new Set(group.map((v) => v.contentHash || v.id)).size > 1,
+  );
+
+  return { exact, near };
+}
+
+// Picks the copy to keep: highest resolution, then largest file
+function pickBestVideo(group) {
+  const pixels = (video) => {
+    const [width, height] = video.meta.resolution.split("x").map(Number);
+    return width * height;
+  };
+  return [...group].sort(
+    (a, b) => pixels(b) - pixels(a) || b.meta.size - a.meta.size,
+  )[0];
+}
+
+function displayDuplicates() {
+  const acrossResolutions = document.getElementById(
+    "duplicatesAcrossResolutions",
+  ).checked;
+  const { exact, near } = findDuplicateGroups(allVideos, acrossResolutions);
+  duplicateGroups = [...exact, ...near];
+
+  const unhashed = allVideos.filter((v) => !v.frameHashes.length).length;
+  document.getElementById("duplicatesSummary").textContent =
+    `${exact.length} exact group${exact.length !== 1 ? "s" : ""}, ${
+      near.length
+    } near-duplicate group${near.length !== 1 ? "s" : ""}.` +
+    (unhashed
+      ? ` ${unhashed} video(s) have no frame hashes yet; clear the thumbnail cache to include them.`
+      : "");
+
+  const container = document.getElementById("duplicatesList");
+  container.innerHTML = "";
+  if (duplicateGroups.length === 0) {
+    container.innerHTML = '<p class="no-playlists">No duplicates found.</p>';
+  }
+
+  duplicateGroups.forEach((group, index) => {
+    const section = document.createElement("div");
+    section.className = "duplicate-group";
+    section.innerHTML = `<h4>${
+      index < exact.length ? "Exact copies" : "Near duplicates"
+    } · ${group.length} videos</h4><div class="duplicate-items"></div>`;
+
+    const best = pickBestVideo(group);
+    group.forEach((video) => {
+      const item = document.createElement("label");
+      item.className = "duplicate-item";
+      item.classList.toggle("best", video === best);
+      item.innerHTML = `
+        <img ${video.thumbnail ? `src="${video.thumbnail}"` : ""} alt="">
+        <div class="duplicate-info">
+          <strong></strong>
+          <small></small>
+          <span>📐 ${video.meta.resolution} · 📦 ${formatSize(
+            video.meta.size,
+          )} · ⏱️ ${formatDuration(video.meta.duration)}</span>
+        </div>
+        <input type="checkbox" ${selectedVideos.has(video.id) ? "checked" : ""}>
+      `;
+      item.querySelector("strong").textContent = video.file.name;
+      item.querySelector("small").textContent = joinPath(
+        getRootLabel(video.root),
+        video.folder,
+      );
+      item.querySelector("input").addEventListener("change", (e) => {
+        if (e.target.checked) {
+          selectedVideos.add(video.id);
+        } else {
+          selectedVideos.delete(video.id);
+        }
+        updateBatchInfo();
+      });
+      section.querySelector(".duplicate-items").appendChild(item);
+    });
+    container.appendChild(section);
+  });
+}
+
+document.getElementById("duplicatesBtn").addEventListener("click", () => {
+  document.getElementById("duplicatesModal").style.display = "flex";
+  displayDuplicates();
+});
+
+document
+  .getElementById("duplicatesAcrossResolutions")
+  .addEventListener("change", displayDuplicates);
+
+// Selects every copy except the best one in each group
+document
+  .getElementById("duplicatesSelectExtras")
+  .addEventListener("click", () => {
+    duplicateGroups.forEach((group) => {
+      const best = pickBestVideo(group);
+      group.forEach((video) => {
+        if (video === best) {
+          selectedVideos.delete(video.id);
+        } else {
+          selectedVideos.add(video.id);
+        }
+      });
+    });
+    displayDuplicates();
+    updateBatchInfo();
+  });
+
+// Shows only the duplicates in the grid with batch mode on
+document.getElementById("duplicatesToBatch").addEventListener("click", () => {
+  duplicateFilter = new Set(duplicateGroups.flat().map((video) => video.id));
+  batchMode = true;
+  document.getElementById("batchBar").style.display = "flex";
+  document.getElementById("batchBtn").classList.add("active");
+  document.getElementById("duplicatesModal").style.display = "none";
+
+  const indicator = document.getElementById("duplicatesIndicator");
+  indicator.textContent = `🧬 Duplicates (${duplicateFilter.size})`;
+  indicator.style.display = "inline-block";
+  indicator.style.cursor = "pointer";
+  indicator.title = "Click to show all videos";
+  indicator.onclick = clearDuplicateFilter;
+
+  updateBatchInfo();
+  updateDisplay();
+});
+
+function clearDuplicateFilter() {
+  duplicateFilter = null;
+  document.getElementById("duplicatesIndicator").style.display = "none";
+  updateDisplay();
+}
+
+// ==================== SMART COLLECTIONS ====================
+
+// Rules use the units shown in the editor: minutes, MB and YYYY-MM-DD dates
+const defaultCollectionRules = {
+  format: "all",
+  quality: "all",
+  history: "all",
+  favorite: "any",
+  minDuration: null,
+  maxDuration: null,
+  minSize: null,
+  maxSize: null,
+  from: "",
+  to: "",
+  tags: [],
+};
+
+// Collections without their computed video lists, for storage and export
+function getSmartCollectionsForExport() {
+  return smartCollections.map(({ videos, ...collection }) => collection);
+}
+
+function saveSmartCollections() {
+  saveCollection("smartCollections");
+}
+
+// Re-evaluates every collection against the current library
+function refreshSmartCollections() {
+  smartCollections.forEach((collection) => {
+    collection.videos = allVideos
+      .filter((video) => matchesCollectionRules(video, collection.rules))
+      .map((video) => video.id);
+  });
+}
+
+function isInRange(value, min, max) {
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+function matchesCollectionRules(video, rules) {
+  const extension = video.file.name.split(".").pop().toLowerCase();
+  const tags = (videoTags[video.id] || []).map((tag) => tag.toLowerCase());
+  const from = rules.from ? new Date(`${rules.from}T00:00`).getTime() : null;
+  const to = rules.to ? new Date(`${rules.to}T23:59:59.999`).getTime() : null;
+
+  return (
+    (rules.format === "all" || extension === rules.format) &&
+    (rules.quality === "all" || getQualityBucket(video) === rules.quality) &&
+    matchesHistoryFilter(video, rules.history) &&
+    (rules.favorite === "any" ||
+      !!video.isFavorite === (rules.favorite === "yes")) &&
+    isInRange(video.meta.duration / 60, rules.minDuration, rules.maxDuration) &&
+    isInRange(video.meta.size / (1024 * 1024), rules.minSize, rules.maxSize) &&
+    isInRange(video.meta.created, from, to) &&
+    rules.tags.every((tag) => tags.includes(tag.toLowerCase()))
+  );
+}
+
+// Short summary of a collection's rules for the playlist list
+function describeCollectionRules(rules) {
+  const parts = [];
+  const range = (min, max, unit) =>
+    min !== null && max !== null
+      ? `${min}–${max} ${unit}`
+      : min !== null
+        ? `≥ ${min} ${unit}`
+        : `≤ ${max} ${unit}`;
+
+  if (rules.format !== "all") parts.push(rules.format.toUpperCase());
+  if (rules.quality !== "all") parts.push(rules.quality.toUpperCase());
+  if (rules.history !== "all") parts.push(rules.history);
+  if (rules.favorite !== "any") {
+    parts.push(rules.favorite === "yes" ? "⭐ favorites" : "not favorites");
+  }
+  if (rules.minDuration !== null || rules.maxDuration !== null) {
+    parts.push(range(rules.minDuration, rules.maxDuration, "min"));
+  }
+  if (rules.minSize !== null || rules.maxSize !== null) {
+    parts.push(range(rules.minSize, rules.maxSize, "MB"));
+  }
+  if (rules.from || rules.to) {
+    parts.push(`${rules.from || "…"} → ${rules.to || "…"}`);
+  }
+  rules.tags.forEach((tag) => parts.push(`🏷️ ${tag}`));
+  return parts.join(" · ") || "All videos";
+}
+
+function displaySmartCollections() {
+  const listContainer = document.getElementById("smartCollectionList");
+  listContainer.innerHTML = "";
+  refreshSmartCollections();
+
+  if (smartCollections.length === 0) {
+    listContainer.innerHTML =
+      '<p class="no-playlists">No smart collections yet. They fill themselves from rules.</p>';
+    return;
+  }
+
+  smartCollections.forEach((collection, index) => {
+    const item = document.createElement("div");
+    item.className = "playlist-item smart-collection";
+    item.innerHTML = `
+      <div class="playlist-row">
+        <div class="playlist-info">
+          <h4>🧠 ${collection.name}</h4>
+          <small>${describeCollectionRules(collection.rules)}</small>
+          <span>${collection.videos.length} videos · ${formatDuration(
+            getPlaylistDuration(collection),
+          )}</span>
+        </div>
+        <div class="playlist-actions">
+          <button onclick="playSmartCollection(${index})">▶ Play</button>
+          <button onclick="loadSmartCollection(${index})">Load</button>
+          <button onclick="editSmartCollection(${index})" title="Edit rules">✏️</button>
+          <button onclick="duplicateSmartCollection(${index})" title="Duplicate">⧉</button>
+          <button onclick="deleteSmartCollection(${index})">Delete</button>
+        </div>
+      </div>
+    `;
+    listContainer.appendChild(item);
+  });
+}
+
+// Reads the editor form back into a rules object
+function readCollectionForm() {
+  const rules = { ...defaultCollectionRules };
+  document
+    .querySelectorAll("#smartCollectionModal [data-rule]")
+    .forEach((input) => {
+      const key = input.dataset.rule;
+      if (key === "tags") {
+        rules.tags = input.value
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean);
+      } else if (input.type === "number") {
+        rules[key] = input.value === "" ? null : Number(input.value);
+      } else {
+        rules[key] = input.value;
+      }
+    });
+  return rules;
+}
+
+function fillCollectionForm(rules) {
+  document
+    .querySelectorAll("#smartCollectionModal [data-rule]")
+    .forEach((input) => {
+      const value = rules[input.dataset.rule];
+      input.value = Array.isArray(value) ? value.join(", ") : (value ?? "");
+    });
+  updateCollectionMatchCount();
+}
+
+// Live preview of how many loaded videos the rules pick up
+function updateCollectionMatchCount() {
+  const rules = readCollectionForm();
+  const count = allVideos.filter((video) =>
+    matchesCollectionRules(video, rules),
+  ).length;
+  document.getElementById("collectionMatchCount").textContent =
+    `Matches ${count} of ${allVideos.length} loaded videos`;
+}
+
+// Opens the editor for a new collection (index null) or an existing one
+function showSmartCollectionEditor(index) {
+  editingCollection = index;
+  const collection = smartCollections[index];
+  document.getElementById("smartCollectionTitle").textContent = collection
+    ? "🧠 Edit Smart Collection"
+    : "🧠 New Smart Collection";
+  document.getElementById("collectionName").value = collection?.name || "";
+  fillCollectionForm({ ...defaultCollectionRules, ...collection?.rules });
+  document.getElementById("smartCollectionModal").style.display = "flex";
+}
+
+document
+  .getElementById("newSmartCollection")
+  .addEventListener("click", () => showSmartCollectionEditor(null));
+
+document
+  .querySelectorAll("#smartCollectionModal [data-rule]")
+  .forEach((input) =>
+    input.addEventListener("input", updateCollectionMatchCount),
+  );
+
+document.getElementById("saveSmartCollection").addEventListener("click", () => {
+  const name = document.getElementById("collectionName").value.trim();
+  if (!name) {
+    alert("Please enter a collection name");
+    return;
+  }
+  if (
+    smartCollections.some(
+      (c, index) => c.name === name && index !== editingCollection,
+    )
+  ) {
+    alert("A smart collection with that name already exists");
+    return;
+  }
+
+  const rules = readCollectionForm();
+  const collection = smartCollections[editingCollection];
+  if (collection) {
+    collection.name = name;
+    collection.rules = rules;
+  } else {
+    smartCollections.push({ name, rules });
+  }
+  saveSmartCollections();
+  document.getElementById("smartCollectionModal").style.display = "none";
+  if (collection && activePlaylist === collection) {
+    document.getElementById("playlistIndicator").textContent = `🧠 ${name}`;
+  }
+});
+
+window.editSmartCollection = (index) => showSmartCollectionEditor(index);
+
+window.loadSmartCollection = (index) => {
+  const collection = smartCollections[index];
+  if (!collection) return;
+
+  // The collection's video list is refreshed on every display update
+  activePlaylist = collection;
+  showFavoritesOnly = false;
+  updateDisplay();
+
+  const indicator = document.getElementById("playlistIndicator");
+  indicator.textContent = `🧠 ${collection.name}`;
+  indicator.style.display = "inline-block";
+  indicator.style.cursor = "pointer";
+  indicator.title = "Click to show all videos";
+  indicator.onclick = clearPlaylist;
+
+  document.getElementById("playlistModal").style.display = "none";
+};
+
+window.playSmartCollection = (index) => {
+  const collection = smartCollections[index];
+  if (!collection) return;
+
+  refreshSmartCollections();
+  const videos = collection.videos
+    .map((id) => allVideos.find((v) => v.id === id))
+    .filter(Boolean);
+  if (videos.length === 0) {
+    alert("No loaded videos match this collection.");
+    return;
+  }
+  document.getElementById("playlistModal").style.display = "none";
+  startQueue(videos);
+};
+
+window.duplicateSmartCollection = (index) => {
+  const collection = smartCollections[index];
+  let name = `${collection.name} (copy)`;
+  for (let n = 2; smartCollections.some((c) => c.name === name); n++) {
+    name = `${collection.name} (copy ${n})`;
+  }
+
+  smartCollections.splice(index + 1, 0, {
+    name,
+    rules: { ...collection.rules, tags: [...collection.rules.tags] },
+  });
+  saveSmartCollections();
+};
+
+window.deleteSmartCollection = (index) => {
+  if (!confirm("Delete this smart collection?")) return;
+  if (activePlaylist === smartCollections[index]) clearPlaylist();
+  smartCollections.splice(index, 1);
+  saveSmartCollections();
+};
+
+// ==================== TAG MANAGER ====================
+
+function saveVideoTags() {
+  saveCollection("videoTags");
+  saveCollection("tagColors");
+}
+
+onStoreChange(["videoTags", "tagColors"], () => {
+  renderPlayerTags();
+  if (document.getElementById("tagManagerModal").style.display === "flex") {
+    displayTagManager();
+  }
+});
+
+// Tag -> number of videos carrying it
+function getTagCounts() {
+  const counts = {};
+  Object.values(videoTags).forEach((tags) => {
+    tags.forEach((tag) => (counts[tag] = (counts[tag] || 0) + 1));
+  });
+  return counts;
+}
+
+// The tag's chip color, or null when it has none (or not a plain one)
+function getTagColor(tag) {
+  const color = tagColors[tag];
+  return color && TAG_COLOR_PATTERN.test(color) ? color : null;
+}
+
+// Chip markup for a video's tags; the name filters, ✖ removes the tag
+function renderTagChips(videoId) {
+  return (videoTags[videoId] || [])
+    .map((tag) => {
+      const name = escapeHtml(tag);
+      const color = getTagColor(tag);
+      const style = color ? `style="background: ${color}"` : "";
+      return `<span class="tag tag-chip clickable" data-tag="${name}" ${style} title="Show videos tagged ${name}">${name}<button class="tag-remove" title="Remove tag">✖</button></span>`;
+    })
+    .join("");
+}
+
+function bindTagChips(container, videoId) {
+  container.querySelectorAll(".tag-chip").forEach((chip) => {
+    chip.addEventListener("click", (e) => {
+      e.stopPropagation();
+      filterByTag(chip.dataset.tag);
+    });
+    chip.querySelector(".tag-remove").addEventListener("click", (e) => {
+      e.stopPropagation();
+      removeTagFromVideo(videoId, chip.dataset.tag);
+    });
+  });
+}
+
+function renderPlayerTags() {
+  const container = document.getElementById("playerTags");
+  // Batch tagging borrows currentVideo with an array of IDs
+  const video =
+    currentVideo && !Array.isArray(currentVideo.id) ? currentVideo : null;
+  container.innerHTML = video ? renderTagChips(video.id) : "";
+  if (video) bindTagChips(container, video.id);
+}
+
+// Narrows the grid to a tag through the search query
+function filterByTag(tag) {
+  const search = document.getElementById("search");
+  const term = /[\s"\\]/.test(tag)
+    ? `tag:"${tag.replace(/["\\]/g, "\\$&")}"`
+    : `tag:${tag}`;
+  if (!search.value.includes(term)) {
+    search.value = `${search.value.trim()} ${term}`.trim();
+  }
+
+  document.getElementById("tagManagerModal").style.display = "none";
+  if (document.getElementById("videoModal").style.display === "flex") {
+    closeVideoModal();
+  }
+  updateDisplay();
+}
+
+function removeTagFromVideo(videoId, tag) {
+  videoTags[videoId] = (videoTags[videoId] || []).filter((t) => t !== tag);
+  if (videoTags[videoId].length === 0) delete videoTags[videoId];
+  saveVideoTags();
+}
+
+// Renames a tag on every video; renaming onto an existing tag merges them
+function renameTag(from, to) {
+  Object.keys(videoTags).forEach((id) => {
+    if (!videoTags[id].includes(from)) return;
+    videoTags[id] = [
+      ...new Set(videoTags[id].map((tag) => (tag === from ? to : tag))),
+    ];
+  });
+  if (tagColors[from] && !tagColors[to]) tagColors[to] = tagColors[from];
+  delete tagColors[from];
+
+  // Smart collections follow the new name
+  smartCollections.forEach((collection) => {
+    if (!collection.rules.tags.includes(from)) return;
+    collection.rules.tags = [
+      ...new Set(collection.rules.tags.map((tag) => (tag === from ? to : tag))),
+    ];
+  });
+  saveSmartCollections();
+  saveVideoTags();
+}
+
+// Smart collection rules keep a deleted tag so they don't silently widen
+function deleteTag(tag) {
+  Object.keys(videoTags).forEach((id) => {
+    videoTags[id] = videoTags[id].filter((t) => t !== tag);
+    if (videoTags[id].length === 0) delete videoTags[id];
+  });
+  delete tagColors[tag];
+  saveVideoTags();
+}
+
+function displayTagManager() {
+  const list = document.getElementById("tagManagerList");
+  list.innerHTML = "";
+
+  const counts = Object.entries(getTagCounts()).sort(
+    (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]),
+  );
+  if (counts.length === 0) {
+    list.innerHTML =
+      '<p class="no-playlists">No tags yet. Add some from the player or batch mode.</p>';
+    return;
+  }
+
+  counts.forEach(([tag, count]) => {
+    const color = getTagColor(tag);
+    const row = document.createElement("div");
+    row.className = "tag-row";
+    // The color picker only takes "#rrggbb"
+    row.innerHTML = `
+      <input type="color" value="${/^#[0-9a-f]{6}$/i.test(color) ? color : "#6366f1"}" title="Tag color">
+      <span class="tag clickable" title="Show videos with this tag"></span>
+      <span class="tag-count">${count} video${count !== 1 ? "s" : ""}</span>
+      <div class="tag-row-actions">
+        <button class="tag-rename" title="Rename or merge">✏️</button>
+        <button class="tag-delete" title="Delete from all videos">🗑️</button>
+      </div>
+    `;
+    const chip = row.querySelector(".tag");
+    chip.textContent = tag;
+    if (color) chip.style.background = color;
+
+    chip.addEventListener("click", () => filterByTag(tag));
+    row.querySelector("input").addEventListener("change", (e) => {
+      tagColors[tag] = e.target.value;
+      saveVideoTags();
+    });
+    row.querySelector(".tag-rename").addEventListener("click", () => {
+      const name = prompt(`Rename "${tag}" to:`, tag)?.trim();
+      if (!name || name === tag) return;
+      if (
+        counts.some(([other]) => other === name) &&
+        !confirm(`"${name}" already exists. Merge "${tag}" into it?`)
+      ) {
+        return;
+      }
+      renameTag(tag, name);
+    });
+    row.querySelector(".tag-delete").addEventListener("click", () => {
+      if (confirm(`Remove "${tag}" from ${count} video(s)?`)) deleteTag(tag);
+    });
+    list.appendChild(row);
+  });
+}
+
+document.getElementById("tagManagerBtn").addEventListener("click", () => {
+  displayTagManager();
+  document.getElementById("tagManagerModal").style.display = "flex";
+});
+
+// ==================== FOLDER TREE ====================
+
+// Checks whether a video lives in the given folder or one of its subfolders
+function isInFolder(video, folderPath) {
+  if (!folderPath) return true;
+  const folder = getVideoFolderPath(video);
+  return folder === folderPath || folder.startsWith(folderPath + "/");
+}
+
+// Builds a nested folder tree with recursive video counts
+function buildFolderTree(videos) {
+  const root = { name: "All videos", path: "", children: new Map(), count: 0 };
+
+  videos.forEach((video) => {
+    root.count++;
+    const folder = getVideoFolderPath(video);
+    if (!folder) return;
+
+    let node = root;
+    folder.split("/").forEach((part) => {
+      const path = node.path ? `${node.path}/${part}` : part;
+      if (!node.children.has(part)) {
+        node.children.set(part, {
+          name: part,
+          path,
+          children: new Map(),
+          count: 0,
+        });
+      }
+      node = node.children.get(part);
+      node.count++;
+    });
+  });
+
+  return root;
+}
+
+// Renders the subfolder sidebar; hidden when the library has no subfolders
+function renderFolderTree() {
+  const sidebar = document.getElementById("folderTree");
+  const list = document.getElementById("folderTreeList");
+  const tree = buildFolderTree(allVideos);
+
+  // Drop a selection that no longer exists (e.g. after removing a library folder)
+  if (selectedFolder && !allVideos.some((v) => isInFolder(v, selectedFolder))) {
+    selectedFolder = "";
+  }
+
+  if (tree.children.size === 0) {
+    sidebar.style.display = "none";
+    return;
+  }
+
+  sidebar.style.display = "block";
+  list.innerHTML = "";
+  list.appendChild(createFolderNode(tree));
+}
+
+function createFolderNode(node) {
+  const item = document.createElement("li");
+  const hasChildren = node.children.size > 0;
+  const collapsed = collapsedFolders.has(node.path);
+
+  const row = document.createElement("div");
+  row.className = "folder-node";
+  row.classList.toggle("active", node.path === selectedFolder);
+  row.title = node.path || node.name;
+  row.innerHTML = `
+    <span class="folder-toggle">${hasChildren ? (collapsed ? "▸" : "▾") : ""}</span>
+    <span class="folder-name"></span>
+    <span class="folder-count">${node.count}</span>
+  `;
+  row.querySelector(".folder-name").textContent = `📁 ${node.name}`;
+
+  row.querySelector(".folder-toggle").addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (!hasChildren) return;
+    if (collapsed) {
+      collapsedFolders.delete(node.path);
+    } else {
+      collapsedFolders.add(node.path);
+    }
+    renderFolderTree();
+  });
+
+  row.addEventListener("click", () => {
+    selectedFolder = node.path;
+    updateDisplay();
+  });
+
+  item.appendChild(row);
+
+  if (hasChildren && !collapsed) {
+    const children = document.createElement("ul");
+    [...node.children.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((child) => children.appendChild(createFolderNode(child)));
+    item.appendChild(children);
+  }
+
+  return item;
+}
+
+// ==================== FACETS ====================
+
+const durationBuckets = [
+  { value: "0-1", label: "Under 1 min", max: 60 },
+  { value: "1-5", label: "1–5 min", max: 300 },
+  { value: "5-20", label: "5–20 min", max: 1200 },
+  { value: "20-60", label: "20–60 min", max: 3600 },
+  { value: "60+", label: "Over 1 hour", max: Infinity },
+];
+
+const qualityLabels = {
+  "4k": "4K",
+  "1080p": "1080p",
+  "720p": "720p",
+  sd: "SD",
+};
+
+// Each facet lists the values a video has and how to label and order them
+const facetDefinitions = [
+  {
+    key: "tag",
+    label: "🏷️ Tags",
+    getValues: (video) => videoTags[video.id] || [],
+  },
+  {
+    key: "ext",
+    label: "🎞️ Format",
+    getValues: (video) => [video.file.name.split(".").pop().toLowerCase()],
+    format: (value) => value.toUpperCase(),
+  },
+  {
+    key: "res",
+    label: "📐 Resolution",
+    getValues: (video) => [getQualityBucket(video)],
+    format: (value) => qualityLabels[value],
+    order: Object.keys(qualityLabels),
+  },
+  {
+    key: "year",
+    label: "📅 Year",
+    getValues: (video) => [String(new Date(video.meta.created).getFullYear())],
+    descending: true,
+  },
+  {
+    key: "month",
+    label: "🗓️ Month",
+    getValues: (video) => {
+      const date = new Date(video.meta.created);
+      const month = String(date.getMonth() + 1).padStart(2, "0");
+      return [`${date.getFullYear()}-${month}`];
+    },
+    format: (value) =>
+      new Date(`${value}-01T00:00`).toLocaleDateString(undefined, {
+        month: "short",
+        year: "numeric",
+      }),
+    descending: true,
+  },
+  {
+    key: "length",
+    label: "⏱️ Duration",
+    // A duration that isn't finite counts as the longest bucket
+    getValues: (video) => [
+      (
+        durationBuckets.find((bucket) => video.meta.duration < bucket.max) ||
+        durationBuckets[durationBuckets.length - 1]
+      ).value,
+    ],
+    format: (value) =>
+      durationBuckets.find((b) => b.value === value)?.label ?? value,
+    order: durationBuckets.map((bucket) => bucket.value),
+  },
+  {
+    key: "folder",
+    label: "📁 Folder",
+    getValues: (video) => [getVideoFolderPath(video)],
+    format: (value) => value || "(top level)",
+  },
+];
+
+// True when the video passes the selected facets, optionally ignoring one
+function matchesFacets(video, ignoreKey = null) {
+  const results = facetDefinitions
+    .filter(({ key }) => key !== ignoreKey && activeFacets[key]?.size)
+    .map(({ key, getValues }) =>
+      getValues(video).some((value) => activeFacets[key].has(value)),
+    );
+  if (results.length === 0) return true;
+  return facetMode === "and" ? results.every(Boolean) : results.some(Boolean);
+}
+
+// Rebuilds the sidebar; counts come from videos passing every other filter
+function renderFacets(baseVideos) {
+  const sidebar = document.getElementById("facetSidebar");
+  document.getElementById("librarySidebar").style.display =
+    allVideos.length > 0 ? "" : "none";
+  sidebar.style.display = allVideos.length > 0 ? "block" : "none";
+  if (allVideos.length === 0) return;
+
+  document.querySelectorAll(".facet-mode button").forEach((button) => {
+    button.classList.toggle("active", button.dataset.mode === facetMode);
+  });
+  document.getElementById("clearFacets").style.display = Object.keys(
+    activeFacets,
+  ).length
+    ? "inline-block"
+    : "none";
+
+  const list = document.getElementById("facetList");
+  list.innerHTML = "";
+
+  facetDefinitions.forEach((facet) => {
+    const selected = activeFacets[facet.key] || new Set();
+    const counts = new Map();
+    allVideos.forEach((video) =>
+      facet.getValues(video).forEach((value) => counts.set(value, 0)),
+    );
+    baseVideos.forEach((video) => {
+      // In "any" mode other facets widen rather than narrow the results
+      if (facetMode === "and" && !matchesFacets(video, facet.key)) return;
+      facet.getValues(video).forEach((value) => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+    selected.forEach((value) => {
+      if (!counts.has(value)) counts.set(value, 0);
+    });
+    if (counts.size === 0) return;
+
+    const values = [...counts.keys()].sort((a, b) => {
+      if (facet.order) return facet.order.indexOf(a) - facet.order.indexOf(b);
+      if (facet.descending) return b.localeCompare(a);
+      return counts.get(b) - counts.get(a) || a.localeCompare(b);
+    });
+
+    const group = document.createElement("details");
+    group.className = "facet-group";
+    group.open = !collapsedFacets.has(facet.key);
+    group.innerHTML = `<summary>${facet.label}</summary><ul></ul>`;
+    group.addEventListener("toggle", () => {
+      if (group.open) {
+        collapsedFacets.delete(facet.key);
+      } else {
+        collapsedFacets.add(facet.key);
+      }
+    });
+
+    values.forEach((value) => {
+      const item = document.createElement("li");
+      item.className = "facet-value";
+      item.classList.toggle("active", selected.has(value));
+      item.classList.toggle("empty", counts.get(value) === 0);
+      item.innerHTML = `
+        <label>
+          <input type="checkbox" ${selected.has(value) ? "checked" : ""}>
+          <span class="folder-name"></span>
+          <span class="folder-count">${counts.get(value)}</span>
+        </label>
+      `;
+      item.querySelector(".folder-name").textContent = facet.format
+        ? facet.format(value)
+        : value;
+      item
+        .querySelector("input")
+        .addEventListener("change", () => toggleFacetValue(facet.key, value));
+      group.querySelector("ul").appendChild(item);
+    });
+
+    list.appendChild(group);
+  });
+}
+
+function toggleFacetValue(key, value) {
+  const selected = activeFacets[key] || new Set();
+  if (selected.has(value)) {
+    selected.delete(value);
+  } else {
+    selected.add(value);
+  }
+  if (selected.size) {
+    activeFacets[key] = selected;
+  } else {
+    delete activeFacets[key];
+  }
+  writeFacetsToHash();
+  updateDisplay();
+}
+
+// Stores the selection in the URL hash, e.g. #tag=interview,raw&ext=mov&mode=or
+function writeFacetsToHash() {
+  const parts = Object.entries(activeFacets).map(
+    ([key, values]) =>
+      `${key}=${[...values].map(encodeURIComponent).join(",")}`,
+  );
+  if (parts.length && facetMode === "or") parts.push("mode=or");
+  const url = location.pathname + location.search;
+  history.replaceState(
+    null,
+    "",
+    parts.length ? `${url}#${parts.join("&")}` : url,
+  );
+}
+
+function readFacetsFromHash() {
+  activeFacets = {};
+  facetMode = "and";
+  const validKeys = facetDefinitions.map((facet) => facet.key);
+
+  location.hash
+    .slice(1)
+    .split("&")
+    .filter(Boolean)
+    .forEach((part) => {
+      const [key, raw = ""] = part.split("=");
+      if (key === "mode") {
+        facetMode = raw === "or" ? "or" : "and";
+      } else if (validKeys.includes(key)) {
+        // An empty value is real: "folder=" selects the top level. Values
+        // that don't decode (a mangled link) are dropped.
+        const values = raw.split(",").flatMap((value) => {
+          try {
+            return [decodeURIComponent(value)];
+          } catch (e) {
+            return [];
+          }
+        });
+        if (values.length) activeFacets[key] = new Set(values);
+      }
+    });
+}
+
+document.querySelectorAll(".facet-mode button").forEach((button) => {
+  button.addEventListener("click", () => {
+    facetMode = button.dataset.mode;
+    writeFacetsToHash();
+    updateDisplay();
+  });
+});
+
+document.getElementById("clearFacets").addEventListener("click", () => {
+  activeFacets = {};
+  writeFacetsToHash();
+  updateDisplay();
+});
+
+// Restore a bookmarked view, and follow hand-edited or pasted hashes
+readFacetsFromHash();
+window.addEventListener("hashchange", () => {
+  readFacetsFromHash();
+  updateDisplay();
+});
+
+// ==================== NEW FEATURES ====================
+
+// Batch Operations
+document.getElementById("batchBtn").addEventListener("click", () => {
+  batchMode = !batchMode;
+  selectedVideos.clear();
+  document.getElementById("batchBar").style.display = batchMode
+    ? "flex"
+    : "none";
+  document.getElementById("batchBtn").classList.toggle("active", batchMode);
+  updateBatchInfo();
+  updateDisplay();
+});
+
+document.getElementById("batchCancel").addEventListener("click", () => {
+  batchMode = false;
+  selectedVideos.clear();
+  document.getElementById("batchBar").style.display = "none";
+  document.getElementById("batchBtn").classList.remove("active");
+  updateDisplay();
+});
+
+document.getElementById("batchSelectAll").addEventListener("click", () => {
+  allVideos.forEach((v) => selectedVideos.add(v.id));
+  updateDisplay();
+  updateBatchInfo();
+});
+
+document.getElementById("batchDeselectAll").addEventListener("click", () => {
+  selectedVideos.clear();
+  updateDisplay();
+  updateBatchInfo();
+});
+
+document.getElementById("batchAddToFavorites").addEventListener("click", () => {
+  selectedVideos.forEach((id) => {
+    if (!favorites.includes(id)) favorites.push(id);
+  });
+  saveCollection("favorites");
+});
+
+document
+  .getElementById("batchRemoveFromFavorites")
+  .addEventListener("click", () => {
+    selectedVideos.forEach((id) => {
+      const index = favorites.indexOf(id);
+      if (index > -1) favorites.splice(index, 1);
+    });
+    saveCollection("favorites");
+  });
+
+document.getElementById("batchAddTags").addEventListener("click", () => {
+  if (selectedVideos.size === 0) {
+    alert("Please select videos first");
+    return;
+  }
+  currentVideo = { id: Array.from(selectedVideos) };
+  document.getElementById("tagsModal").style.display = "flex";
+});
+
+document.getElementById("batchAddToPlaylist").addEventListener("click", () => {
+  if (selectedVideos.size === 0) {
+    alert("Please select videos first");
+    return;
+  }
+  showPlaylistModal(Array.from(selectedVideos));
+});
+
+function updateBatchInfo() {
+  document.getElementById("selectedCount").textContent =
+    `${selectedVideos.size} selected`;
+}
+
+// Compare Videos
+document.getElementById("compareBtn").addEventListener("click", () => {
+  const select1 = document.getElementById("compareVideo1");
+  const select2 = document.getElementById("compareVideo2");
+  select1.innerHTML = '<option value="">Select video...</option>';
+  select2.innerHTML = '<option value="">Select video...</option>';
+
+  allVideos.forEach((video) => {
+    const option1 = document.createElement("option");
+    option1.value = video.id;
+    option1.textContent = video.file.name;
+    select1.appendChild(option1);
+
+    const option2 = document.createElement("option");
+    option2.value = video.id;
+    option2.textContent = video.file.name;
+    select2.appendChild(option2);
+  });
+
+  document.getElementById("compareModal").style.display = "flex";
+});
+
+document.getElementById("compareVideo1").addEventListener("change", (e) => {
+  const video = allVideos.find((v) => v.id === e.target.value);
+  if (video) {
+    const player = document.getElementById("comparePlayer1");
+    player.src = URL.createObjectURL(video.file);
+    document.getElementById("compareInfo1").innerHTML = `
+      <p><strong>Resolution:</strong> ${video.meta.resolution}</p>
+      <p><strong>Duration:</strong> ${formatDuration(video.meta.duration)}</p>
+      <p><strong>Size:</strong> ${formatSize(video.meta.size)}</p>
+      <p><strong>Format:</strong> ${video.file.name
+        .split(".")
+        .pop()
+        .toUpperCase()}</p>
+    `;
+  }
+});
+
+document.getElementById("compareVideo2").addEventListener("change", (e) => {
+  const video = allVideos.find((v) => v.id === e.target.value);
+  if (video) {
+    const player = document.getElementById("comparePlayer2");
+    player.src = URL.createObjectURL(video.file);
+    document.getElementById("compareInfo2").innerHTML = `
+      <p><strong>Resolution:</strong> ${video.meta.resolution}</p>
+      <p><strong>Duration:</strong> ${formatDuration(video.meta.duration)}</p>
+      <p><strong>Size:</strong> ${formatSize(video.meta.size)}</p>
+      <p><strong>Format:</strong> ${video.file.name
+        .split(".")
+        .pop()
+        .toUpperCase()}</p>
+    `;
+  }
+});
+
+document.getElementById("syncPlayback").addEventListener("change", (e) => {
+  const player1 = document.getElementById("comparePlayer1");
+  const player2 = document.getElementById("comparePlayer2");
+
+  if (e.target.checked) {
+    player1.addEventListener("play", () => player2.play());
+    player1.addEventListener("pause", () => player2.pause());
+    player1.addEventListener(
+      "seeked",
+      () => (player2.currentTime = player1.currentTime),
+    );
+  } else {
+    player1.removeEventListener("play", () => player2.play());
+    player1.removeEventListener("pause", () => player2.pause());
+    player1.removeEventListener(
+      "seeked",
+      () => (player2.currentTime = player1.currentTime),
+    );
+  }
+});
+
+// Tags Management
+document.getElementById("tagsBtn").addEventListener("click", () => {
+  document.getElementById("tagsModal").style.display = "flex";
+  displayPopularTags();
+});
+
+document.getElementById("addTagsBtn").addEventListener("click", () => {
+  const input = document.getElementById("tagInput");
+  const tags = input.value
+    .split(",")
+    .map((t) => t.trim())
+    .filter((t) => t);
+
+  if (tags.length === 0) return;
+
+  if (Array.isArray(currentVideo.id)) {
+    // Batch mode
+    currentVideo.id.forEach((id) => {
+      if (!videoTags[id]) videoTags[id] = [];
+      tags.forEach((tag) => {
+        if (!videoTags[id].includes(tag)) videoTags[id].push(tag);
+      });
+    });
+  } else {
+    // Single video
+    if (!videoTags[currentVideo.id]) videoTags[currentVideo.id] = [];
+    tags.forEach((tag) => {
+      if (!videoTags[currentVideo.id].includes(tag))
+        videoTags[currentVideo.id].push(tag);
+    });
+  }
+
+  input.value = "";
+  document.getElementById("tagsModal").style.display = "none";
+  saveVideoTags();
+});
+
+function displayPopularTags() {
+  const allTags = {};
+  Object.values(videoTags).forEach((tags) => {
+    tags.forEach((tag) => (allTags[tag] = (allTags[tag] || 0) + 1));
+  });
+
+  const popular = Object.entries(allTags)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10);
+  const container = document.getElementById("popularTagsList");
+  container.innerHTML = popular
+    .map(
+      ([tag, count]) =>
+        `<span class="tag clickable" onclick="document.getElementById('tagInput').value += '${tag},';">${tag} (${count})</span>`,
+    )
+    .join("");
+}
+
+// Loop Video
+document.getElementById("loopBtn").addEventListener("click", () => {
+  const player = document.getElementById("mainVideoPlayer");
+  player.loop = !player.loop;
+  document.getElementById("loopBtn").classList.toggle("active", player.loop);
+});
+
+function downloadJSON(data, filename) {
+  downloadText(JSON.stringify(data, null, 2), filename, "application/json");
+}
+
+function downloadText(text, filename, type) {
+  downloadBlob(new Blob([text], { type }), filename);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Close additional modals
+document.querySelectorAll(".modal .close").forEach((closeBtn) => {
+  closeBtn.addEventListener("click", () => {
+    closeBtn.closest(".modal").style.display = "none";
+  });
+});
+
+// Close modals when clicking outside
+document.querySelectorAll(".modal").forEach((modal) => {
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      modal.style.display = "none";
+    }
+  });
+});
+
+// ==================== WATCH HISTORY ====================
+function saveWatchHistory() {
+  saveCollection("watchHistory");
+}
+
+function getHistoryEntry(videoId) {
+  if (!watchHistory[videoId]) {
+    watchHistory[videoId] = {
+      position: 0,
+      duration: 0,
+      playCount: 0,
+      lastWatched: 0,
+      watched: false,
+    };
+  }
+  return watchHistory[videoId];
+}
+
+function recordPlay(videoId) {
+  const entry = getHistoryEntry(videoId);
+  entry.playCount++;
+  entry.lastWatched = Date.now();
+  saveWatchHistory();
+}
+
+// Stores the playback position and marks the video watched past the threshold
+function recordPosition(videoId, position, duration) {
+  if (!isFinite(position) || !isFinite(duration) || !duration) return;
+  if (pendingResumePosition) return;
+
+  const entry = getHistoryEntry(videoId);
+  entry.position = position;
+  entry.duration = duration;
+  entry.lastWatched = Date.now();
+  if ((position / duration) * 100 >= settings.watchedThreshold) {
+    entry.watched = true;
+  }
+  saveWatchHistory();
+}
+
+// Returns how far into the video the saved position is (0 to 1)
+function getWatchProgress(video) {
+  const entry = watchHistory[video.id];
+  if (!entry || !entry.position) return 0;
+  const duration = entry.duration || video.meta.duration;
+  return duration ? Math.min(1, entry.position / duration) : 0;
+}
+
+// A saved position is resumable unless it is at the very start or finished
+function getResumePosition(video) {
+  const entry = watchHistory[video.id];
+  if (!entry || entry.position < RESUME_MIN_SECONDS) return 0;
+  if (getWatchProgress(video) * 100 >= settings.watchedThreshold) return 0;
+  if (entry.duration && entry.position > entry.duration - RESUME_MIN_SECONDS) {
+    return 0;
+  }
+  return entry.position;
+}
+
+function matchesHistoryFilter(video, filter) {
+  const entry = watchHistory[video.id];
+  switch (filter) {
+    case "continue":
+      return getResumePosition(video) > 0;
+    case "recent":
+      return !!entry?.lastWatched;
+    case "watched":
+      return !!entry?.watched;
+    case "unwatched":
+      return !entry?.watched;
+    default:
+      return true;
+  }
+}
+
+let resumePromptTimer = null;
+// Position offered by the open resume prompt. While it is up the player is
+// near the start, so positions aren't saved over the one being offered.
+let pendingResumePosition = 0;
+
+function showResumePrompt(video) {
+  hideResumePrompt();
+  const position = getResumePosition(video);
+  if (!position) return;
+  pendingResumePosition = position;
+
+  document.getElementById("resumeBtn").textContent =
+    `▶ Resume from ${formatDuration(position)}`;
+  document.getElementById("resumePrompt").style.display = "flex";
+  resumePromptTimer = setTimeout(hideResumePrompt, 10000);
+}
+
+function hideResumePrompt() {
+  clearTimeout(resumePromptTimer);
+  pendingResumePosition = 0;
+  document.getElementById("resumePrompt").style.display = "none";
+}
+
+document.getElementById("resumeBtn").addEventListener("click", () => {
+  if (currentVideo) {
+    document.getElementById("mainVideoPlayer").currentTime =
+      pendingResumePosition;
+  }
+  hideResumePrompt();
+});
+
+document
+  .getElementById("startOverBtn")
+  .addEventListener("click", hideResumePrompt);
+
+// Save the position periodically so a crash or reload loses little
+let lastHistorySave = 0;
+document
+  .getElementById("mainVideoPlayer")
+  .addEventListener("timeupdate", (e) => {
+    if (!currentVideo) return;
+    const now = Date.now();
+    if (now - lastHistorySave < HISTORY_SAVE_INTERVAL_MS) return;
+    lastHistorySave = now;
+    recordPosition(currentVideo.id, e.target.currentTime, e.target.duration);
+  });
+
+document.getElementById("mainVideoPlayer").addEventListener("ended", (e) => {
+  if (!currentVideo) return;
+  hideResumePrompt();
+  recordPosition(currentVideo.id, e.target.duration, e.target.duration);
+});
+
+// ==================== PLAY QUEUE ====================
+
+// Fisher-Yates shuffle in place
+function shuffleArray(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// Replaces the queue with the given videos and starts playing one of them
+function startQueue(videos, startIndex = 0) {
+  if (videos.length === 0) return;
+  playQueue = [...videos];
+  queueIndex = Math.max(0, startIndex);
+  unshuffledQueue = null;
+  if (shuffleMode) shuffleQueue();
+  playVideo(playQueue[queueIndex]);
+}
+
+function playQueueIndex(index) {
+  if (index < 0 || index >= playQueue.length) return;
+  queueIndex = index;
+  playVideo(playQueue[index]);
+}
+
+// Advances the queue; `auto` is set when the current video ended on its own
+function playNext(auto = false) {
+  const videoPlayer = document.getElementById("mainVideoPlayer");
+  if (auto && repeatMode === "one") {
+    videoPlayer.currentTime = 0;
+    videoPlayer.play();
+    return;
+  }
+
+  let next = queueIndex + 1;
+  if (next >= playQueue.length) {
+    if (repeatMode !== "all") return;
+    next = 0;
+  }
+  playQueueIndex(next);
+}
+
+function playPrevious() {
+  const videoPlayer = document.getElementById("mainVideoPlayer");
+
+  // Like most players, restart the current video unless it just began
+  if (videoPlayer.currentTime > 3 || playQueue.length === 0) {
+    videoPlayer.currentTime = 0;
+    return;
+  }
+
+  let previous = queueIndex - 1;
+  if (previous < 0) {
+    if (repeatMode !== "all") {
+      videoPlayer.currentTime = 0;
+      return;
+    }
+    previous = playQueue.length - 1;
+  }
+  playQueueIndex(previous);
+}
+
+// Shuffles everything except the playing video, which moves to the front
+function shuffleQueue() {
+  const current = playQueue[queueIndex];
+  unshuffledQueue = [...playQueue];
+  const rest = shuffleArray(playQueue.filter((_, i) => i !== queueIndex));
+  playQueue = current ? [current, ...rest] : rest;
+  queueIndex = current ? 0 : -1;
+}
+
+function unshuffleQueue() {
+  if (!unshuffledQueue) return;
+  const current = playQueue[queueIndex];
+  playQueue = unshuffledQueue.filter((video) => playQueue.includes(video));
+  queueIndex = playQueue.indexOf(current);
+  unshuffledQueue = null;
+}
+
+// Moves a queue entry while keeping the playing video current
+function moveQueueItem(from, to) {
+  const current = playQueue[queueIndex];
+  const [item] = playQueue.splice(from, 1);
+  playQueue.splice(to, 0, item);
+  queueIndex = playQueue.indexOf(current);
+  renderQueue();
+}
+
+function removeQueueItem(index) {
+  if (index === queueIndex) return;
+  const current = playQueue[queueIndex];
+  playQueue.splice(index, 1);
+  queueIndex = playQueue.indexOf(current);
+  renderQueue();
+}
+
+function renderQueue() {
+  const list = document.getElementById("queueList");
+  list.innerHTML = "";
+  document.getElementById("queueCount").textContent =
+    `${queueIndex + 1} / ${playQueue.length}`;
+
+  playQueue.forEach((video, index) => {
+    const item = document.createElement("li");
+    item.className = "queue-item";
+    item.classList.toggle("current", index === queueIndex);
+    item.draggable = true;
+    item.innerHTML = `
+      <span class="queue-position">${index === queueIndex ? "▶" : index + 1}</span>
+      <img ${video.thumbnail ? `src="${video.thumbnail}"` : ""} alt="">
+      <div class="queue-info">
+        <span class="queue-title"></span>
+        <small>${formatDuration(video.meta.duration)}</small>
+      </div>
+      <button class="queue-remove" title="Remove from queue">✖</button>
+    `;
+    item.querySelector(".queue-title").textContent = video.file.name;
+    item.querySelector(".queue-remove").disabled = index === queueIndex;
+
+    item.addEventListener("click", () => playQueueIndex(index));
+    item.querySelector(".queue-remove").addEventListener("click", (e) => {
+      e.stopPropagation();
+      removeQueueItem(index);
+    });
+
+    // Drag to reorder
+    item.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData("text/plain", String(index));
+      e.dataTransfer.effectAllowed = "move";
+      item.classList.add("dragging");
+    });
+    item.addEventListener("dragend", () => item.classList.remove("dragging"));
+    item.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      item.classList.add("drag-over");
+    });
+    item.addEventListener("dragleave", () =>
+      item.classList.remove("drag-over"),
+    );
+    item.addEventListener("drop", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const from = parseInt(e.dataTransfer.getData("text/plain"), 10);
+      if (!isNaN(from) && from !== index) moveQueueItem(from, index);
+    });
+
+    list.appendChild(item);
+  });
+
+  list.querySelector(".current")?.scrollIntoView({ block: "nearest" });
+  updateQueueButtons();
+}
+
+function updateQueueButtons() {
+  document.getElementById("shuffleBtn").classList.toggle("active", shuffleMode);
+
+  const repeatBtn = document.getElementById("repeatBtn");
+  repeatBtn.classList.toggle("active", repeatMode !== "off");
+  repeatBtn.textContent = repeatMode === "one" ? "🔂" : "🔁";
+  repeatBtn.title = {
+    off: "Repeat: off",
+    all: "Repeat: all",
+    one: "Repeat: one",
+  }[repeatMode];
+}
+
+// Plays a saved playlist in its stored order
+window.playPlaylist = async (index) => {
+  const playlist = playlists[index];
+  if (!playlist) return;
+
+  if (playlist.folderHandle) {
+    if (await loadPlaylist(index)) startQueue(displayedVideos);
+    return;
+  }
+
+  const videos = (playlist.videos || [])
+    .map((id) => allVideos.find((v) => v.id === id))
+    .filter(Boolean);
+  if (videos.length === 0) {
+    alert("None of this playlist's videos are loaded.");
+    return;
+  }
+  document.getElementById("playlistModal").style.display = "none";
+  startQueue(videos);
+};
+
+document.getElementById("nextBtn").addEventListener("click", () => playNext());
+document
+  .getElementById("prevBtn")
+  .addEventListener("click", () => playPrevious());
+
+document.getElementById("queueBtn").addEventListener("click", () => {
+  const panel = document.getElementById("queuePanel");
+  const open = panel.style.display !== "flex";
+  panel.style.display = open ? "flex" : "none";
+  document.getElementById("queueBtn").classList.toggle("active", open);
+  if (open) renderQueue();
+});
+
+document.getElementById("shuffleBtn").addEventListener("click", () => {
+  shuffleMode = !shuffleMode;
+  if (shuffleMode) {
+    shuffleQueue();
+  } else {
+    unshuffleQueue();
+  }
+  renderQueue();
+});
+
+document.getElementById("repeatBtn").addEventListener("click", () => {
+  const modes = ["off", "all", "one"];
+  repeatMode = modes[(modes.indexOf(repeatMode) + 1) % modes.length];
+  updateQueueButtons();
+});
+
+document
+  .getElementById("mainVideoPlayer")
+  .addEventListener("ended", () => playNext(true));
+
+// ==================== BOOKMARKS ====================
+
+function saveBookmarks() {
+  saveCollection("bookmarks");
+}
+
+function getBookmarks(videoId) {
+  return bookmarks[videoId] || [];
+}
+
+// Bookmarks the current playback position of the open video
+function addBookmark() {
+  if (!currentVideo || Array.isArray(currentVideo.id)) return;
+  const player = document.getElementById("mainVideoPlayer");
+  const list = getBookmarks(currentVideo.id);
+
+  list.push({
+    time: player.currentTime,
+    label: `Bookmark ${list.length + 1}`,
+    note: "",
+  });
+  list.sort((a, b) => a.time - b.time);
+  bookmarks[currentVideo.id] = list;
+  saveBookmarks();
+  renderBookmarks();
+}
+
+function removeBookmark(index) {
+  const list = getBookmarks(currentVideo.id);
+  list.splice(index, 1);
+  if (list.length === 0) delete bookmarks[currentVideo.id];
+  saveBookmarks();
+  renderBookmarks();
+}
+
+// Seeks to the next (1) or previous (-1) bookmark from the playhead
+function jumpToBookmark(direction) {
+  if (!currentVideo) return;
+  const player = document.getElementById("mainVideoPlayer");
+  const list = getBookmarks(currentVideo.id);
+  // A little slack so repeated presses move past the mark just jumped to
+  const target =
+    direction > 0
+      ? list.find((b) => b.time > player.currentTime + 0.5)
+      : list.findLast((b) => b.time < player.currentTime - 0.5);
+  if (target) player.currentTime = target.time;
+}
+
+// Redraws the bookmark panel and the markers on the seek bar
+function renderBookmarks() {
+  const player = document.getElementById("mainVideoPlayer");
+  const list = currentVideo ? getBookmarks(currentVideo.id) : [];
+  const panel = document.getElementById("bookmarkList");
+  const markers = document.getElementById("seekBarMarkers");
+
+  document.getElementById("bookmarkCount").textContent = list.length
+    ? `(${list.length})`
+    : "";
+
+  markers.innerHTML = "";
+  if (player.duration) {
+    list.forEach((bookmark) => {
+      const marker = document.createElement("button");
+      marker.className = "seek-marker";
+      marker.style.left = `${(bookmark.time / player.duration) * 100}%`;
+      marker.title = `${formatDuration(bookmark.time)} · ${bookmark.label}`;
+      marker.addEventListener("click", (e) => {
+        e.stopPropagation();
+        player.currentTime = bookmark.time;
+      });
+      markers.appendChild(marker);
+    });
+  }
+
+  panel.innerHTML = "";
+  if (list.length === 0) {
+    panel.innerHTML =
+      '<li class="playlist-empty">No bookmarks yet. Press B to mark this moment.</li>';
+    return;
+  }
+
+  list.forEach((bookmark, index) => {
+    const item = document.createElement("li");
+    item.className = "bookmark-item";
+    item.innerHTML = `
+      <div class="bookmark-row">
+        <button class="bookmark-time" title="Jump to bookmark">${formatDuration(
+          bookmark.time,
+        )}</button>
+        <input type="text" class="bookmark-label" placeholder="Label">
+        <button class="queue-remove" title="Delete bookmark">✖</button>
+      </div>
+      <textarea class="bookmark-note" rows="2" placeholder="Note..."></textarea>
+    `;
+    const label = item.querySelector(".bookmark-label");
+    const note = item.querySelector(".bookmark-note");
+    label.value = bookmark.label;
+    note.value = bookmark.note;
+
+    item.querySelector(".bookmark-time").addEventListener("click", () => {
+      player.currentTime = bookmark.time;
+    });
+    label.addEventListener("change", () => {
+      bookmark.label = label.value.trim() || bookmark.label;
+      saveBookmarks();
+      renderBookmarks();
+    });
+    note.addEventListener("change", () => {
+      bookmark.note = note.value;
+      saveBookmarks();
+    });
+    item
+      .querySelector(".queue-remove")
+      .addEventListener("click", () => removeBookmark(index));
+    panel.appendChild(item);
+  });
+}
+
+// Moves the custom seek bar with playback
+function updateSeekBar() {
+  const player = document.getElementById("mainVideoPlayer");
+  const progress = player.duration ? player.currentTime / player.duration : 0;
+  document.getElementById("seekBarProgress").style.width = `${progress * 100}%`;
+}
+
+// "HH:MM:SS.mmm" as used by WebVTT and the CSV export
+function formatTimestamp(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(
+    Math.floor(ms / 60000) % 60,
+  )}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+// Each bookmark becomes a chapter running until the next one
+function exportBookmarksVtt() {
+  const list = currentVideo ? getBookmarks(currentVideo.id) : [];
+  if (list.length === 0) {
+    alert("This video has no bookmarks yet.");
+    return;
+  }
+
+  const duration = document.getElementById("mainVideoPlayer").duration;
+  const cues = list.map((bookmark, index) => {
+    // Streamed WebM files report an Infinity duration
+    const end =
+      list[index + 1]?.time ??
+      (isFinite(duration) && duration > bookmark.time
+        ? duration
+        : bookmark.time + 1);
+    return `${index + 1}\n${formatTimestamp(bookmark.time)} --> ${formatTimestamp(
+      end,
+    )}\n${bookmark.label.replace(/-->/g, "→")}`;
+  });
+  const name = currentVideo.file.name.replace(/\.[^.]+$/, "");
+  downloadText(
+    `WEBVTT\n\n${cues.join("\n\n")}\n`,
+    `${name}.chapters.vtt`,
+    "text/vtt",
+  );
+}
+
+// One row per bookmark, ready for an edit decision list
+function exportBookmarksCsv() {
+  const list = currentVideo ? getBookmarks(currentVideo.id) : [];
+  if (list.length === 0) {
+    alert("This video has no bookmarks yet.");
+    return;
+  }
+
+  const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const rows = list.map((bookmark, index) =>
+    [
+      index + 1,
+      currentVideo.relativePath || currentVideo.file.name,
+      formatTimestamp(bookmark.time),
+      bookmark.time.toFixed(3),
+      bookmark.label,
+      bookmark.note,
+    ]
+      .map(quote)
+      .join(","),
+  );
+  const header = "Index,File,Timecode,Seconds,Label,Note";
+  const name = currentVideo.file.name.replace(/\.[^.]+$/, "");
+  downloadText(
+    [header, ...rows].join("\r\n"),
+    `${name}.bookmarks.csv`,
+    "text/csv",
+  );
+}
+
+document.getElementById("bookmarkBtn").addEventListener("click", () => {
+  const panel = document.getElementById("bookmarkPanel");
+  const open = panel.style.display !== "flex";
+  panel.style.display = open ? "flex" : "none";
+  document.getElementById("bookmarkBtn").classList.toggle("active", open);
+  if (open) renderBookmarks();
+});
+
+document
+  .getElementById("addBookmarkBtn")
+  .addEventListener("click", addBookmark);
+document
+  .getElementById("exportBookmarksVtt")
+  .addEventListener("click", exportBookmarksVtt);
+document
+  .getElementById("exportBookmarksCsv")
+  .addEventListener("click", exportBookmarksCsv);
+
+document.getElementById("seekBar").addEventListener("click", (e) => {
+  const player = document.getElementById("mainVideoPlayer");
+  if (!player.duration) return;
+  const rect = e.currentTarget.getBoundingClientRect();
+  player.currentTime = ((e.clientX - rect.left) / rect.width) * player.duration;
+});
+
+const bookmarkPlayer = document.getElementById("mainVideoPlayer");
+bookmarkPlayer.addEventListener("timeupdate", updateSeekBar);
+bookmarkPlayer.addEventListener("seeked", updateSeekBar);
+bookmarkPlayer.addEventListener("loadedmetadata", () => {
+  updateSeekBar();
+  renderBookmarks();
+});
+
+// ==================== PLAYBACK TOOLS ====================
+
+// Shows a short message over the player (A/B points, frame, speed)
+function showPlayerStatus(text) {
+  const status = document.getElementById("playerStatus");
+  status.textContent = text;
+  status.style.display = "block";
+  clearTimeout(playerStatusTimer);
+  playerStatusTimer = setTimeout(() => (status.style.display = "none"), 1500);
+}
+
+// Learns the frame duration from frames the browser actually presents
+function trackFrameRate(metadata) {
+  if (lastFrame && metadata.presentedFrames - lastFrame.presentedFrames === 1) {
+    const delta = metadata.mediaTime - lastFrame.mediaTime;
+    if (delta > 0 && delta < 0.5) {
+      frameSamples.push(delta);
+      if (frameSamples.length > 30) frameSamples.shift();
+      const sorted = [...frameSamples].sort((a, b) => a - b);
+      const median = sorted[Math.floor(sorted.length / 2)];
+      // Snap to a standard rate so rounding noise doesn't drift the steps
+      const fps =
+        STANDARD_FRAME_RATES.find(
+          (rate) => Math.abs(rate * median - 1) < 0.01,
+        ) || 1 / median;
+      frameDuration = 1 / fps;
+    }
+  }
+  lastFrame = metadata;
+}
+
+function resetFrameRate() {
+  frameDuration = 1 / DEFAULT_FRAME_RATE;
+  frameSamples = [];
+  lastFrame = null;
+}
+
+// Pauses and moves exactly one frame forward (1) or back (-1)
+function stepFrame(direction) {
+  const player = document.getElementById("mainVideoPlayer");
+  player.pause();
+  const frame = Math.floor(player.currentTime / frameDuration + 1e-3);
+  const target = Math.max(0, frame + direction);
+  // Aim for the middle of the frame so the decoder lands on it
+  player.currentTime = Math.min(
+    player.duration || Infinity,
+    (target + 0.5) * frameDuration,
+  );
+  showPlayerStatus(
+    `Frame ${target} · ${Number((1 / frameDuration).toFixed(2))} fps`,
+  );
+}
+
+// Sets the A (start) or B (end) point of the segment loop
+function setLoopPoint(point) {
+  const player = document.getElementById("mainVideoPlayer");
+  if (point === "a") {
+    loopA = player.currentTime;
+  } else {
+    loopB = player.currentTime;
+  }
+  if (loopA !== null && loopB !== null && loopB < loopA) {
+    [loopA, loopB] = [loopB, loopA];
+  }
+  updateLoopDisplay();
+  showPlayerStatus(
+    `${point.toUpperCase()} set at ${formatTimestamp(player.currentTime)}`,
+  );
+}
+
+function clearLoop() {
+  loopA = null;
+  loopB = null;
+  updateLoopDisplay();
+}
+
+// Jumps back to A once playback passes B
+function enforceLoop() {
+  if (loopA === null || loopB === null || loopB - loopA < 0.05) return;
+  const player = document.getElementById("mainVideoPlayer");
+  if (player.currentTime >= loopB || player.currentTime < loopA - 0.5) {
+    player.currentTime = loopA;
+  }
+}
+
+// Reflects the loop on the A-B button and as a band on the seek bar
+function updateLoopDisplay() {
+  const player = document.getElementById("mainVideoPlayer");
+  const button = document.getElementById("abLoopBtn");
+  const band = document.getElementById("seekBarLoop");
+
+  button.classList.toggle("active", loopA !== null || loopB !== null);
+  button.textContent =
+    loopA !== null && loopB !== null ? "A↔B" : loopA !== null ? "A…" : "AB";
+  button.title =
+    loopA !== null && loopB !== null
+      ? `Looping ${formatTimestamp(loopA)} – ${formatTimestamp(loopB)} (click to clear)`
+      : "A-B loop: click or press [ and ] to set points";
+
+  if (loopA === null || !player.duration) {
+    band.style.display = "none";
+    return;
+  }
+  const end = loopB ?? loopA;
+  band.style.display = "block";
+  band.style.left = `${(loopA / player.duration) * 100}%`;
+  band.style.width = `${((end - loopA) / player.duration) * 100}%`;
+}
+
+function setPlaybackSpeed(speed) {
+  playbackSpeed =
+    Math.round(Math.min(MAX_SPEED, Math.max(MIN_SPEED, speed)) * 100) / 100;
+  const player = document.getElementById("mainVideoPlayer");
+  player.defaultPlaybackRate = playbackSpeed;
+  player.playbackRate = playbackSpeed;
+  player.preservesPitch = settings.preservePitch;
+
+  document.getElementById("speedBtn").textContent = `${playbackSpeed}x`;
+  document.getElementById("speedRange").value = playbackSpeed;
+  document.getElementById("speedValue").textContent =
+    `${playbackSpeed.toFixed(2)}x`;
+}
+
+document.getElementById("abLoopBtn").addEventListener("click", () => {
+  if (loopA === null) {
+    setLoopPoint("a");
+  } else if (loopB === null) {
+    setLoopPoint("b");
+  } else {
+    clearLoop();
+    showPlayerStatus("A-B loop cleared");
+  }
+});
+
+document.getElementById("speedRange").addEventListener("input", (e) => {
+  setPlaybackSpeed(Number(e.target.value));
+});
+
+document.querySelectorAll("#speedPanel [data-speed]").forEach((button) => {
+  button.addEventListener("click", () =>
+    setPlaybackSpeed(Number(button.dataset.speed)),
+  );
+});
+
+const preservePitchInput = document.getElementById("preservePitchInput");
+onStoreChange(["settings"], () => {
+  preservePitchInput.checked = settings.preservePitch;
+});
+preservePitchInput.addEventListener("change", () => {
+  settings.preservePitch = preservePitchInput.checked;
+  saveSettings();
+  setPlaybackSpeed(playbackSpeed);
+});
+
+const toolsPlayer = document.getElementById("mainVideoPlayer");
+toolsPlayer.addEventListener("timeupdate", enforceLoop);
+toolsPlayer.addEventListener("loadedmetadata", updateLoopDisplay);
+
+// Per-frame callbacks give the frame rate and a tighter loop point
+if ("requestVideoFrameCallback" in HTMLVideoElement.prototype) {
+  const onFrame = (now, metadata) => {
+    trackFrameRate(metadata);
+    enforceLoop();
+    toolsPlayer.requestVideoFrameCallback(onFrame);
+  };
+  toolsPlayer.requestVideoFrameCallback(onFrame);
+}
+
+// ==================== SUBTITLES ====================
+
+function isSubtitleFile(file) {
+  return SUBTITLE_EXTENSIONS.includes(file.name.split(".").pop().toLowerCase());
+}
+
+// Pairs sidecar subtitles with videos sharing their base name, so
+// "clip.mp4" picks up "clip.srt" and "clip.en.vtt"
+function attachSubtitles(videoFiles, subtitleFiles) {
+  videoFiles.forEach((video) => {
+    const base = video.file.name.replace(/\.[^.]+$/, "").toLowerCase();
+    video.subtitles = subtitleFiles.filter((subtitle) => {
+      const name = subtitle.name.replace(/\.[^.]+$/, "").toLowerCase();
+      return name === base || name.startsWith(`${base}.`);
+    });
+  });
+}
+
+// "clip.en.srt" next to "clip.mp4" is labelled "en"
+function getSubtitleLabel(videoName, subtitleName) {
+  const base = videoName.replace(/\.[^.]+$/, "");
+  const name = subtitleName.replace(/\.[^.]+$/, "");
+  return name.length > base.length + 1
+    ? name.slice(base.length + 1)
+    : subtitleName;
+}
+
+function srtToVtt(text) {
+  const body = text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .trim()
+    .replace(/(\d+:\d{2}:\d{2}),(\d{3})/g, "$1.$2");
+  return `WEBVTT\n\n${body}\n`;
+}
+
+// Moves every cue by offset seconds (cues pushed before 0 start at 0)
+function shiftVtt(vtt, offset) {
+  if (!offset) return vtt;
+  return vtt
+    .split("\n")
+    .map((line) =>
+      line.includes("-->")
+        ? line.replace(
+            /(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})/g,
+            (match, hours = 0, minutes, seconds, ms) =>
+              formatTimestamp(
+                Math.max(
+                  0,
+                  Number(hours) * 3600 +
+                    Number(minutes) * 60 +
+                    Number(seconds) +
+                    Number(ms) / 1000 +
+                    offset,
+                ),
+              ),
+          )
+        : line,
+    )
+    .join("\n");
+}
+
+async function readSubtitle(file, label) {
+  const text = await file.text();
+  const vtt = file.name.toLowerCase().endsWith(".srt") ? srtToVtt(text) : text;
+  return { label, vtt };
+}
+
+// Reads the open video's subtitles and attaches them to the player
+async function loadSubtitleTracks(video) {
+  subtitleTracks = [];
+  subtitleOffset = 0;
+  activeSubtitle = -1;
+  renderSubtitleTracks();
+
+  const tracks = await Promise.all(
+    (video.subtitles || []).map((file) =>
+      readSubtitle(file, getSubtitleLabel(video.file.name, file.name)).catch(
+        (error) => {
+          console.error(`Failed to read subtitle ${file.name}:`, error);
+          return null;
+        },
+      ),
+    ),
+  );
+  if (currentVideo !== video) return; // Another video opened meanwhile
+
+  subtitleTracks = tracks.filter(Boolean);
+  activeSubtitle = settings.showSubtitles && subtitleTracks.length ? 0 : -1;
+  renderSubtitleTracks();
+}
+
+// Rebuilds the <track> elements with the current offset applied
+function renderSubtitleTracks() {
+  const player = document.getElementById("mainVideoPlayer");
+  player.querySelectorAll("track").forEach((track) => {
+    URL.revokeObjectURL(track.src);
+    track.remove();
+  });
+
+  subtitleTracks.forEach((subtitle, index) => {
+    const track = document.createElement("track");
+    track.kind = "subtitles";
+    track.label = subtitle.label;
+    track.src = URL.createObjectURL(
+      new Blob([shiftVtt(subtitle.vtt, subtitleOffset)], { type: "text/vtt" }),
+    );
+    player.appendChild(track);
+    track.track.mode = index === activeSubtitle ? "showing" : "disabled";
+  });
+
+  updateSubtitlePanel();
+}
+
+function selectSubtitle(index) {
+  activeSubtitle = index;
+  settings.showSubtitles = index !== -1;
+  saveSettings();
+  document.querySelectorAll("#mainVideoPlayer track").forEach((track, i) => {
+    track.track.mode = i === index ? "showing" : "disabled";
+  });
+  updateSubtitlePanel();
+}
+
+// Adds a subtitle file chosen or dropped by the user to the open video
+async function addSubtitleFile(file) {
+  if (!currentVideo || Array.isArray(currentVideo.id)) return;
+  const video = currentVideo;
+  try {
+    const subtitle = await readSubtitle(file, file.name);
+    if (currentVideo !== video) return;
+    // Keep it with the video for the rest of the session
+    video.subtitles = [...(video.subtitles || []), file];
+    subtitleTracks.push(subtitle);
+    activeSubtitle = subtitleTracks.length - 1;
+    settings.showSubtitles = true;
+    saveSettings();
+    renderSubtitleTracks();
+    showPlayerStatus(`Subtitles: ${file.name}`);
+  } catch (error) {
+    console.error("Failed to load subtitle:", error);
+    alert(`Could not read ${file.name}`);
+  }
+}
+
+function updateSubtitlePanel() {
+  const select = document.getElementById("subtitleSelect");
+  select.innerHTML = '<option value="-1">Off</option>';
+  subtitleTracks.forEach((subtitle, index) => {
+    const option = document.createElement("option");
+    option.value = index;
+    option.textContent = subtitle.label;
+    select.appendChild(option);
+  });
+  select.value = activeSubtitle;
+  document.getElementById("subtitleOffsetInput").value = subtitleOffset;
+  document
+    .getElementById("subtitleBtn")
+    .classList.toggle("active", activeSubtitle !== -1);
+}
+
+// Cue size and background come from settings through a ::cue rule
+function applySubtitleStyle() {
+  const backgrounds = {
+    none: "transparent",
+    translucent: "rgba(0, 0, 0, 0.6)",
+    solid: "#000",
+  };
+  subtitleStyle.textContent = `#mainVideoPlayer::cue {
+    font-size: ${settings.subtitleSize}%;
+    background: ${backgrounds[settings.subtitleBackground]};
+  }`;
+}
+
+const subtitleStyle = document.createElement("style");
+document.head.appendChild(subtitleStyle);
+
+document.getElementById("subtitleBtn").addEventListener("click", () => {
+  togglePlayerPanel("subtitlePanel");
+});
+
+document.getElementById("subtitleSelect").addEventListener("change", (e) => {
+  selectSubtitle(Number(e.target.value));
+});
+
+document
+  .getElementById("subtitleOffsetInput")
+  .addEventListener("change", (e) => {
+    const offset = parseFloat(e.target.value);
+    subtitleOffset = isNaN(offset) ? 0 : offset;
+    renderSubtitleTracks();
+  });
+
+const subtitleSizeSelect = document.getElementById("subtitleSizeSelect");
+const subtitleBackgroundSelect = document.getElementById(
+  "subtitleBackgroundSelect",
+);
+subtitleSizeSelect.addEventListener("change", () => {
+  settings.subtitleSize = Number(subtitleSizeSelect.value);
+  saveSettings();
+});
+subtitleBackgroundSelect.addEventListener("change", () => {
+  settings.subtitleBackground = subtitleBackgroundSelect.value;
+  saveSettings();
+});
+onStoreChange(["settings"], () => {
+  subtitleSizeSelect.value = settings.subtitleSize;
+  subtitleBackgroundSelect.value = settings.subtitleBackground;
+  applySubtitleStyle();
+});
+
+document.getElementById("loadSubtitleBtn").addEventListener("click", () => {
+  document.getElementById("subtitleFileInput").click();
+});
+
+document
+  .getElementById("subtitleFileInput")
+  .addEventListener("change", async (e) => {
+    for (const file of e.target.files) await addSubtitleFile(file);
+    e.target.value = "";
+  });
+
+// ==================== CLIP EXPORT ====================
+
+// Marks the clip start ("in") or end ("out") at the current position
+function setClipPoint(point) {
+  const time = document.getElementById("mainVideoPlayer").currentTime;
+  if (point === "in") {
+    clipIn = time;
+  } else {
+    clipOut = time;
+  }
+  if (clipIn !== null && clipOut !== null && clipOut < clipIn) {
+    [clipIn, clipOut] = [clipOut, clipIn];
+  }
+  showPlayerStatus(`Clip ${point}: ${formatTimestamp(time)}`);
+  updateClipDisplay();
+}
+
+function clearClip() {
+  clipIn = null;
+  clipOut = null;
+  updateClipDisplay();
+}
+
+// Unset points fall back to the start and end of the video
+function getClipRange() {
+  const player = document.getElementById("mainVideoPlayer");
+  return { start: clipIn ?? 0, end: clipOut ?? (player.duration || 0) };
+}
+
+// Shows the points in the clip panel and the range on the seek bar
+function updateClipDisplay() {
+  const player = document.getElementById("mainVideoPlayer");
+  const band = document.getElementById("seekBarClip");
+  const { start, end } = getClipRange();
+
+  document.getElementById("clipInValue").textContent =
+    clipIn === null ? "Start" : formatTimestamp(clipIn);
+  document.getElementById("clipOutValue").textContent =
+    clipOut === null ? "End" : formatTimestamp(clipOut);
+  document.getElementById("clipLength").textContent = player.duration
+    ? formatDuration(Math.max(0, end - start))
+    : "";
+
+  if ((clipIn === null && clipOut === null) || !player.duration) {
+    band.style.display = "none";
+    return;
+  }
+  band.style.display = "block";
+  band.style.left = `${(start / player.duration) * 100}%`;
+  band.style.width = `${((end - start) / player.duration) * 100}%`;
+}
+
+// Enables the destinations this browser and library can write to
+function updateClipDestinations() {
+  const select = document.getElementById("clipDestination");
+  const canPick = "showDirectoryPicker" in window;
+  const hasFolder = !!(currentVideo && getRootHandle(currentVideo));
+  select.querySelector('[value="current"]').disabled = !hasFolder;
+  select.querySelector('[value="choose"]').disabled = !canPick;
+  if (select.selectedOptions[0]?.disabled) {
+    select.value = hasFolder ? "current" : canPick ? "choose" : "download";
+  }
+}
+
+// Asks for access to a handle when it isn't already granted
+async function verifyPermission(handle, mode) {
+  if ((await handle.queryPermission({ mode })) === "granted") return true;
+  return (await handle.requestPermission({ mode })) === "granted";
+}
+
+// Walks a folder path like "2023/Trip" down from the library folder,
+// optionally creating missing folders on the way
+async function getSubfolderHandle(root, path, create = false) {
+  let handle = root;
+  for (const name of path.split("/").filter(Boolean)) {
+    handle = await handle.getDirectoryHandle(name, { create });
+  }
+  return handle;
+}
+
+async function fileExists(directory, name) {
+  try {
+    await directory.getFileHandle(name);
+    return true;
+  } catch (e) {
+    if (e.name === "NotFoundError") return false;
+    throw e;
+  }
+}
+
+// Adds " (2)", " (3)"… before the extension until the name is free
+async function getAvailableFileName(directory, name) {
+  const dot = name.lastIndexOf(".");
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : "";
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? name : `${base} (${n})${extension}`;
+    if (!(await fileExists(directory, candidate))) return candidate;
+  }
+}
+
+// Writes the blob under a free name in the folder and returns its handle
+async function writeBlobToDirectory(directory, name, blob) {
+  const fileName = await getAvailableFileName(directory, name);
+  const handle = await directory.getFileHandle(fileName, { create: true });
+  const writable = await handle.createWritable();
+  await writable.write(blob);
+  await writable.close();
+  return handle;
+}
+
+// Resolves the folder to write to. Runs before recording because the
+// picker and permission prompt need the click that started the export.
+async function getClipDirectory(video, destination) {
+  if (destination === "download") return null;
+  if (destination === "choose") {
+    return window.showDirectoryPicker({ mode: "readwrite" });
+  }
+  const root = getRootHandle(video);
+  if (!(await verifyPermission(root, "readwrite"))) {
+    throw new Error("Permission to write to the folder was denied");
+  }
+  return getSubfolderHandle(root, video.folder);
+}
+
+// Plays the range in a hidden copy of the video and records it, so the
+// player stays free to use
+async function recordClip(file, start, end, job, onProgress) {
+  const source = await loadVideoElement(file);
+  // A muted element records silence, so the sound is unmuted but routed
+  // into the recording instead of the speakers
+  const audio = new AudioContext();
+
+  try {
+    await seekVideo(source, start);
+
+    source.muted = false;
+    const destination = audio.createMediaStreamDestination();
+    audio.createMediaElementSource(source).connect(destination);
+    await audio.resume();
+    const capture = source.captureStream
+      ? source.captureStream()
+      : source.mozCaptureStream();
+    const stream = new MediaStream([
+      ...capture.getVideoTracks(),
+      ...destination.stream.getAudioTracks(),
+    ]);
+    const mimeType = CLIP_MIME_TYPES.find((type) =>
+      MediaRecorder.isTypeSupported(type),
+    );
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+
+    await source.play();
+    recorder.start(1000);
+    await new Promise((resolve) => {
+      let timer = null;
+      const finish = () => {
+        if (!timer) return;
+        source.pause();
+        clearInterval(timer);
+        timer = null;
+        resolve();
+      };
+      // Frame callbacks carry each frame's media time, so the clip ends on
+      // the out point even when a background tab throttles the timer
+      if (source.requestVideoFrameCallback) {
+        const onFrame = (now, metadata) => {
+          if (metadata.mediaTime >= end) finish();
+          else if (timer) source.requestVideoFrameCallback(onFrame);
+        };
+        source.requestVideoFrameCallback(onFrame);
+      }
+      timer = setInterval(() => {
+        onProgress(Math.min(1, (source.currentTime - start) / (end - start)));
+        if (
+          job.cancelled ||
+          source.ended ||
+          source.error ||
+          source.currentTime >= end
+        ) {
+          finish();
+        }
+      }, 100);
+    });
+
+    recorder.stop();
+    await stopped;
+    capture.getTracks().forEach((track) => track.stop());
+    stream.getTracks().forEach((track) => track.stop());
+    if (source.error) throw source.error;
+    return job.cancelled ? null : new Blob(chunks, { type: "video/webm" });
+  } finally {
+    unloadVideoElement(source);
+    audio.close();
+  }
+}
+
+// Writes the clip and returns it as a library entry. Clips saved outside
+// the library folders, or downloaded, are listed with the dropped files.
+async function saveClip(blob, name, directory) {
+  if (!directory) {
+    downloadBlob(blob, name);
+    const file = new File([blob], name, {
+      type: blob.type,
+      lastModified: Date.now(),
+    });
+    return { file, root: DROPPED_ROOT, folder: "", relativePath: name };
+  }
+
+  const handle = await writeBlobToDirectory(directory, name, blob);
+  let root = null;
+  let path = null;
+  for (const candidate of getActiveRoots()) {
+    path = await candidate.handle.resolve(handle);
+    if (path) {
+      root = candidate;
+      break;
+    }
+  }
+  path = path || [handle.name];
+  return {
+    file: await handle.getFile(),
+    root: root ? root.id : DROPPED_ROOT,
+    folder: path.slice(0, -1).join("/"),
+    relativePath: path.join("/"),
+  };
+}
+
+function showClipProgress(fraction) {
+  document.getElementById("clipProgress").style.display =
+    fraction === null ? "none" : "flex";
+  document.getElementById("clipProgressBar").style.width = `${
+    (fraction || 0) * 100
+  }%`;
+  document.getElementById("exportClipBtn").disabled = fraction !== null;
+}
+
+async function exportClip() {
+  if (!currentVideo || clipJob) return;
+  if (typeof MediaRecorder === "undefined") {
+    alert("Clip export is not supported in this browser.");
+    return;
+  }
+
+  const video = currentVideo;
+  const { start, end } = getClipRange();
+  if (end - start < 0.1) {
+    alert("Set an out point after the in point.");
+    return;
+  }
+
+  const baseName = video.file.name.replace(/\.[^.]+$/, "");
+  const stamp = (time) => formatTimestamp(time).slice(0, 8).replace(/:/g, "-");
+  const name = `${baseName}_clip_${stamp(start)}_${stamp(end)}.webm`;
+
+  const job = { cancelled: false };
+  clipJob = job;
+  try {
+    const directory = await getClipDirectory(
+      video,
+      document.getElementById("clipDestination").value,
+    );
+    showClipProgress(0);
+    const blob = await recordClip(video.file, start, end, job, (fraction) =>
+      showClipProgress(fraction),
+    );
+    if (!blob) return;
+
+    const clip = await saveClip(blob, name, directory);
+    showPlayerStatus(`Clip saved: ${clip.file.name}`);
+    await addVideosToLibrary([clip]);
+  } catch (error) {
+    // A closed folder picker is not an error
+    if (error.name !== "AbortError") {
+      console.error("Clip export failed:", error);
+      alert(`Clip export failed: ${error.message}`);
+    }
+  } finally {
+    clipJob = null;
+    showClipProgress(null);
+  }
+}
+
+document.getElementById("clipBtn").addEventListener("click", () => {
+  updateClipDestinations();
+  updateClipDisplay();
+  togglePlayerPanel("clipPanel");
+});
+
+document
+  .getElementById("clipInBtn")
+  .addEventListener("click", () => setClipPoint("in"));
+document
+  .getElementById("clipOutBtn")
+  .addEventListener("click", () => setClipPoint("out"));
+document.getElementById("clipClearBtn").addEventListener("click", clearClip);
+
+document.getElementById("clipFromLoopBtn").addEventListener("click", () => {
+  if (loopA === null || loopB === null) {
+    alert("Set an A-B loop first with [ and ].");
+    return;
+  }
+  clipIn = loopA;
+  clipOut = loopB;
+  updateClipDisplay();
+});
+
+document.getElementById("exportClipBtn").addEventListener("click", exportClip);
+document.getElementById("cancelClipBtn").addEventListener("click", () => {
+  if (clipJob) clipJob.cancelled = true;
+});
+
+document
+  .getElementById("mainVideoPlayer")
+  .addEventListener("loadedmetadata", updateClipDisplay);
+
+// ==================== SNAPSHOTS ====================
+
+// Encodes a canvas in the chosen format. Browsers that can't write WebP
+// return PNG instead, so names take their extension from the blob.
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not encode the image")),
+      SNAPSHOT_TYPES[settings.snapshotFormat],
+      settings.snapshotQuality / 100,
+    );
+  });
+}
+
+// "Trip.mp4" at 65.25s becomes "Trip_00-01-05.250.jpg"
+function getSnapshotName(video, suffix, blob) {
+  const base = video.file.name.replace(/\.[^.]+$/, "");
+  return `${base}_${suffix}.${SNAPSHOT_EXTENSIONS[blob.type] || "png"}`;
+}
+
+function getTimecodeSuffix(time) {
+  return formatTimestamp(time).replace(/:/g, "-");
+}
+
+// Several images go into one picked folder; without the File System
+// Access API each one is downloaded
+async function pickImageDirectory() {
+  if (!("showDirectoryPicker" in window)) return null;
+  return window.showDirectoryPicker({ mode: "readwrite" });
+}
+
+async function saveImage(blob, name, directory) {
+  if (directory) {
+    await writeBlobToDirectory(directory, name, blob);
+  } else {
+    downloadBlob(blob, name);
+  }
+}
+
+function showSnapshotProgress(fraction) {
+  document.getElementById("snapshotProgress").style.display =
+    fraction === null ? "none" : "flex";
+  document.getElementById("snapshotProgressBar").style.width = `${
+    (fraction || 0) * 100
+  }%`;
+  ["burstBtn", "contactSheetBtn"].forEach((id) => {
+    document.getElementById(id).disabled = fraction !== null;
+  });
+}
+
+// Saves the frame on screen at full resolution
+async function takeSnapshot() {
+  const player = document.getElementById("mainVideoPlayer");
+  if (!currentVideo || !player.videoWidth) return;
+  const time = player.currentTime;
+  try {
+    const blob = await canvasToBlob(captureFrame(player, player.videoWidth));
+    downloadBlob(
+      blob,
+      getSnapshotName(currentVideo, getTimecodeSuffix(time), blob),
+    );
+    showPlayerStatus(`Snapshot ${formatTimestamp(time)}`);
+  } catch (error) {
+    console.error("Snapshot failed:", error);
+    showPlayerStatus(`Snapshot failed: ${error.message}`);
+  }
+}
+
+// Saves a frame every burstInterval seconds over the clip range, which is
+// the whole video while no in/out points are set
+async function captureBurst() {
+  if (!currentVideo || snapshotJob) return;
+  const video = currentVideo;
+  const { start, end } = getClipRange();
+  // Streamed WebM files may not know their length, leaving no end to stop at
+  if (!isFinite(end)) {
+    alert(
+      "This video doesn't report its length. Set an out point (O) for the burst to end at.",
+    );
+    return;
+  }
+  const times = [];
+  for (let time = start; time <= end; time += settings.burstInterval) {
+    times.push(time);
+  }
+  if (
+    times.length > BURST_CONFIRM_FRAMES &&
+    !confirm(`Burst capture will save ${times.length} images. Continue?`)
+  ) {
+    return;
+  }
+
+  const job = { cancelled: false };
+  snapshotJob = job;
+  let source = null;
+  try {
+    const directory = await pickImageDirectory();
+    source = await loadVideoElement(video.file);
+    showSnapshotProgress(0);
+    for (let i = 0; i < times.length && !job.cancelled; i++) {
+      await seekVideo(source, times[i]);
+      const blob = await canvasToBlob(captureFrame(source, source.videoWidth));
+      const name = getSnapshotName(video, getTimecodeSuffix(times[i]), blob);
+      await saveImage(blob, name, directory);
+      showSnapshotProgress((i + 1) / times.length);
+    }
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      console.error("Burst capture failed:", error);
+      alert(`Burst capture failed: ${error.message}`);
+    }
+  } finally {
+    if (source) unloadVideoElement(source);
+    snapshotJob = null;
+    showSnapshotProgress(null);
   }
-};
+}
 
-// Keyboard shortcuts
-document.addEventListener("keydown", (e) => {
-  const videoPlayer = document.getElementById("mainVideoPlayer");
-  const videoModal = document.getElementById("videoModal");
+// Tiles evenly spaced frames, each with its timecode, under a header with
+// the file's details. Returns null when the job is cancelled.
+async function renderContactSheet(video, job, onTile) {
+  const source = await loadVideoElement(video.file);
+  try {
+    const columns = settings.contactSheetColumns;
+    const count = columns * settings.contactSheetRows;
+    const gap = 8;
+    const header = 64;
+    const tileWidth = CONTACT_SHEET_TILE_WIDTH;
+    const tileHeight = Math.round(
+      (tileWidth * (source.videoHeight || 9)) / (source.videoWidth || 16),
+    );
 
-  // Only handle shortcuts when video is playing
-  if (videoModal.style.display !== "flex") {
-    // Global shortcut for search
-    if (e.ctrlKey && e.key === "f") {
-      e.preventDefault();
-      document.getElementById("search").focus();
+    const canvas = document.createElement("canvas");
+    canvas.width = gap + columns * (tileWidth + gap);
+    canvas.height = header + settings.contactSheetRows * (tileHeight + gap);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#111";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "#fff";
+    ctx.font = "bold 20px sans-serif";
+    ctx.fillText(video.file.name, gap, 12, canvas.width - gap * 2);
+    ctx.fillStyle = "#bbb";
+    ctx.font = "14px sans-serif";
+    ctx.fillText(
+      [
+        formatDuration(source.duration),
+        `${source.videoWidth}x${source.videoHeight}`,
+        formatSize(video.file.size),
+        new Date(video.file.lastModified).toLocaleDateString(),
+      ].join("  ·  "),
+      gap,
+      40,
+      canvas.width - gap * 2,
+    );
+
+    ctx.font = "13px monospace";
+    for (let i = 0; i < count; i++) {
+      if (job.cancelled) return null;
+      const time = (source.duration * (i + 1)) / (count + 1);
+      await seekVideo(source, time);
+
+      const x = gap + (i % columns) * (tileWidth + gap);
+      const y = header + Math.floor(i / columns) * (tileHeight + gap);
+      ctx.drawImage(source, x, y, tileWidth, tileHeight);
+
+      const label = formatDuration(time);
+      const labelWidth = ctx.measureText(label).width + 8;
+      ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+      ctx.fillRect(
+        x + tileWidth - labelWidth - 4,
+        y + tileHeight - 22,
+        labelWidth,
+        18,
+      );
+      ctx.fillStyle = "#fff";
+      ctx.fillText(label, x + tileWidth - labelWidth, y + tileHeight - 19);
+      onTile((i + 1) / count);
     }
-    return;
+    return await canvasToBlob(canvas);
+  } finally {
+    unloadVideoElement(source);
   }
+}
 
-  switch (e.key) {
-    case " ":
-      e.preventDefault();
-      videoPlayer.paused ? videoPlayer.play() : videoPlayer.pause();
-      break;
-    case "f":
-    case "F":
-      e.preventDefault();
-      document.getElementById("fullscreenBtn").click();
-      break;
-    case "p":
-    case "P":
-      e.preventDefault();
-      document.getElementById("pipBtn").click();
-      break;
-    case "ArrowLeft":
-      e.preventDefault();
-      videoPlayer.currentTime = Math.max(0, videoPlayer.currentTime - 5);
-      break;
-    case "ArrowRight":
-      e.preventDefault();
-      videoPlayer.currentTime = Math.min(
-        videoPlayer.duration,
-        videoPlayer.currentTime + 5,
-      );
-      break;
-    case "ArrowUp":
-      e.preventDefault();
-      videoPlayer.volume = Math.min(1, videoPlayer.volume + 0.1);
-      break;
-    case "ArrowDown":
-      e.preventDefault();
-      videoPlayer.volume = Math.max(0, videoPlayer.volume - 0.1);
-      break;
-    case "Escape":
-      closeVideoModal();
-      break;
+// Saves one contact sheet per video. A single sheet is downloaded; a batch
+// goes into one picked folder. onProgress gets (video index, video count,
+// fraction of the current sheet).
+async function exportContactSheets(videos, onProgress) {
+  if (snapshotJob) return;
+  const job = { cancelled: false };
+  snapshotJob = job;
+  const failed = [];
+  try {
+    const directory = videos.length > 1 ? await pickImageDirectory() : null;
+    for (let i = 0; i < videos.length && !job.cancelled; i++) {
+      onProgress(i, videos.length, 0);
+      try {
+        const blob = await renderContactSheet(videos[i], job, (fraction) =>
+          onProgress(i, videos.length, fraction),
+        );
+        if (blob) {
+          const name = getSnapshotName(videos[i], "contact-sheet", blob);
+          await saveImage(blob, name, directory);
+        }
+      } catch (error) {
+        console.error("Contact sheet failed for", videos[i].file.name, error);
+        failed.push(videos[i].file.name);
+      }
+    }
+    if (failed.length > 0) {
+      alert(`Could not build contact sheets for:\n${failed.join("\n")}`);
+    }
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      alert(`Contact sheet export failed: ${error.message}`);
+    }
+  } finally {
+    snapshotJob = null;
   }
-});
+}
 
-// Keyboard shortcuts toggle
-document.getElementById("toggleShortcuts").addEventListener("click", () => {
-  document.querySelector(".shortcuts-content").classList.toggle("show");
+document.getElementById("snapshotBtn").addEventListener("click", () => {
+  document.getElementById("snapshotFormatSelect").value =
+    settings.snapshotFormat;
+  document.getElementById("burstIntervalInput").value = settings.burstInterval;
+  togglePlayerPanel("snapshotPanel");
 });
 
-// Drag and drop support
-const dropOverlay = document.getElementById("dropOverlay");
+document
+  .getElementById("captureFrameBtn")
+  .addEventListener("click", takeSnapshot);
 
-["dragenter", "dragover", "dragleave", "drop"].forEach((eventName) => {
-  document.body.addEventListener(eventName, preventDefaults, false);
-});
+document
+  .getElementById("snapshotFormatSelect")
+  .addEventListener("change", (e) => {
+    settings.snapshotFormat = e.target.value;
+    saveSettings();
+  });
 
-function preventDefaults(e) {
-  e.preventDefault();
-  e.stopPropagation();
-}
+document
+  .getElementById("burstIntervalInput")
+  .addEventListener("change", (e) => {
+    const interval = parseFloat(e.target.value);
+    if (isNaN(interval) || interval < Number(e.target.min)) {
+      e.target.value = settings.burstInterval;
+      return;
+    }
+    settings.burstInterval = interval;
+    saveSettings();
+  });
 
-["dragenter", "dragover"].forEach((eventName) => {
-  document.body.addEventListener(
-    eventName,
-    () => {
-      dropOverlay.classList.add("active");
-    },
-    false,
-  );
-});
+document.getElementById("burstBtn").addEventListener("click", captureBurst);
 
-["dragleave", "drop"].forEach((eventName) => {
-  document.body.addEventListener(
-    eventName,
-    () => {
-      dropOverlay.classList.remove("active");
-    },
-    false,
-  );
-});
+document
+  .getElementById("contactSheetBtn")
+  .addEventListener("click", async () => {
+    if (!currentVideo) return;
+    await exportContactSheets([currentVideo], (done, total, fraction) =>
+      showSnapshotProgress((done + fraction) / total),
+    );
+    showSnapshotProgress(null);
+  });
 
-document.body.addEventListener("drop", handleDrop, false);
+document.getElementById("cancelSnapshotBtn").addEventListener("click", () => {
+  if (snapshotJob) snapshotJob.cancelled = true;
+});
 
-async function handleDrop(e) {
-  const dt = e.dataTransfer;
-  const files = [...dt.files].filter((file) => {
-    const ext = file.name.split(".").pop().toLowerCase();
-    return ["mp4", "mov", "avi", "mkv", "webm", "ogg", "flv", "wmv"].includes(
-      ext,
-    );
+document
+  .getElementById("batchContactSheets")
+  .addEventListener("click", async () => {
+    const videos = allVideos.filter((video) => selectedVideos.has(video.id));
+    if (videos.length === 0) {
+      alert("Please select videos first");
+      return;
+    }
+    try {
+      await exportContactSheets(videos, (done, total) =>
+        showLoadingProgress(done, total, "Building contact sheets"),
+      );
+    } finally {
+      // A thumbnail job may still be showing its progress
+      if (libraryJobs.size === 0) hideLoading();
+    }
   });
 
-  if (files.length > 0) {
-    document.getElementById("loading").style.display = "flex";
-    const videoFiles = files.map((file) => ({ file }));
-    allVideos = await processVideos(videoFiles);
-    updateDisplay();
-    document.getElementById("loading").style.display = "none";
+// ==================== FILE OPERATIONS ====================
+
+function isValidFileName(name) {
+  return !!name && name !== "." && name !== ".." && !/[\\/:*?"<>|]/.test(name);
+}
+
+function joinPath(folder, name) {
+  return [folder, name].filter(Boolean).join("/");
+}
+
+function getSelectedVideoEntries() {
+  return allVideos.filter((video) => selectedVideos.has(video.id));
+}
+
+// File operations are opt-in and need write access to the library folders
+// holding the videos
+async function ensureFileOperations(videos) {
+  if (!settings.fileOperations) {
+    alert(
+      "File operations are turned off. Enable them in Settings → Library Maintenance.",
+    );
+    return false;
+  }
+  if (!videos.every(getRootHandle)) {
+    alert(
+      "File operations only work on videos from a library folder added with Add Folder.",
+    );
+    return false;
+  }
+  for (const handle of new Set(videos.map(getRootHandle))) {
+    if (!(await verifyPermission(handle, "readwrite"))) {
+      alert(`Permission to change files in "${handle.name}" was denied`);
+      return false;
+    }
   }
+  return true;
 }
 
-// Folder selection handler using the File System Access API
-document.getElementById("selectFolder").addEventListener("click", async () => {
-  try {
-    const directoryHandle = await window.showDirectoryPicker();
-    currentDirectoryHandle = directoryHandle; // Store the handle
-    document.getElementById("loading").style.display = "flex";
+// Moves or renames a video inside a library folder, taking its sidecar
+// subtitles along, and returns { file, subtitles } with the moved Files
+async function moveLibraryFile(root, from, to, unique = false) {
+  const source = await getSubfolderHandle(root, from.folder);
+  const target = await getSubfolderHandle(root, to.folder, true);
+
+  let name = to.name;
+  const sameFile =
+    from.folder === to.folder && from.name.toLowerCase() === name.toLowerCase();
+  if (unique) {
+    name = await getAvailableFileName(target, name);
+  } else if (!sameFile && (await fileExists(target, name))) {
+    throw new Error(`"${joinPath(to.folder, name)}" already exists`);
+  }
 
-    const files = await readDirectory(directoryHandle);
-    allVideos = await processVideos(files);
-    updateDisplay();
+  const file = await moveFileEntry(source, from.name, target, name);
+  const subtitles = await moveSidecarSubtitles(source, from.name, target, name);
+  return { file, subtitles };
+}
 
-    document.getElementById("loading").style.display = "none";
+// Moves one file and returns it. Uses FileSystemFileHandle.move() where the
+// browser has it, and otherwise copies the file and removes the original;
+// a copy that fails halfway is deleted so no partial duplicate is left.
+async function moveFileEntry(source, fromName, target, name) {
+  const handle = await source.getFileHandle(fromName);
+  if (handle.move) {
+    await handle.move(target, name);
+    return handle.getFile();
+  }
+  const copy = await target.getFileHandle(name, { create: true });
+  if (await copy.isSameEntry(handle)) {
+    throw new Error(
+      "This browser can only change the case of a name by moving",
+    );
+  }
+  try {
+    const writable = await copy.createWritable();
+    try {
+      await writable.write(await handle.getFile());
+      await writable.close();
+    } catch (error) {
+      await writable.abort();
+      throw error;
+    }
   } catch (error) {
-    console.error("Error accessing directory:", error);
-    document.getElementById("loading").style.display = "none";
+    try {
+      await target.removeEntry(name);
+    } catch (e) {
+      console.error(`Could not remove the partial copy "${name}":`, e);
+    }
+    throw error;
   }
-});
+  await source.removeEntry(fromName);
+  return copy.getFile();
+}
 
-// Reads the directory and returns an array of video file objects
-async function readDirectory(directoryHandle) {
-  const validExtensions = [
-    "mp4",
-    "mov",
-    "avi",
-    "mkv",
-    "webm",
-    "ogg",
-    "flv",
-    "wmv",
-  ];
-  const files = [];
+// Renames "clip.srt" and "clip.en.vtt" next to "clip.mp4" to match the
+// video's new name. The video has already moved, so a subtitle that can't
+// follow is logged and left where it was.
+async function moveSidecarSubtitles(source, fromName, target, name) {
+  const fromBase = fromName.replace(/\.[^.]+$/, "");
+  const toBase = name.replace(/\.[^.]+$/, "");
+  const sidecars = [];
+  for await (const entry of source.values()) {
+    if (entry.kind !== "file" || !isSubtitleFile(entry)) continue;
+    const base = entry.name.replace(/\.[^.]+$/, "").toLowerCase();
+    if (
+      base === fromBase.toLowerCase() ||
+      base.startsWith(`${fromBase.toLowerCase()}.`)
+    ) {
+      sidecars.push(entry.name);
+    }
+  }
 
-  for await (const entry of directoryHandle.values()) {
-    if (entry.kind === "file") {
-      const file = await entry.getFile();
-      const extension = file.name.split(".").pop().toLowerCase();
-      if (validExtensions.includes(extension)) {
-        files.push({ file });
+  const moved = [];
+  for (const sidecar of sidecars) {
+    const sidecarName = toBase + sidecar.slice(fromBase.length);
+    try {
+      if (
+        sidecarName.toLowerCase() !== sidecar.toLowerCase() &&
+        (await fileExists(target, sidecarName))
+      ) {
+        throw new Error(`"${sidecarName}" already exists`);
       }
+      moved.push(await moveFileEntry(source, sidecar, target, sidecarName));
+    } catch (error) {
+      console.error(`Could not move subtitle "${sidecar}":`, error);
     }
   }
-  return files;
+  return moved;
 }
 
-// ==================== NEW FEATURES ====================
+// Points a library entry at its moved file and subtitles. The content hash
+// survives a move, but copies and unhashed videos are keyed by name, so
+// their metadata follows them to the new ID.
+function relocateVideo(video, { file, subtitles }, folder) {
+  const oldId = video.id;
+  video.file = file;
+  video.subtitles = subtitles;
+  video.folder = folder;
+  video.relativePath = joinPath(folder, file.name);
+  video.legacyId = getLegacyVideoId(file);
+  if (!video.contentHash) {
+    video.id = video.legacyId;
+  } else if (oldId !== video.contentHash) {
+    video.id = `${video.contentHash}~${video.legacyId}`;
+  }
 
-// Batch Operations
-document.getElementById("batchBtn").addEventListener("click", () => {
-  batchMode = !batchMode;
-  selectedVideos.clear();
-  document.getElementById("batchBar").style.display = batchMode
-    ? "flex"
-    : "none";
-  document.getElementById("batchBtn").classList.toggle("active", batchMode);
-  updateDisplay();
-});
+  if (video.id !== oldId) {
+    moveMetadata(oldId, video.id);
+    if (selectedVideos.delete(oldId)) selectedVideos.add(video.id);
+  }
+  video.isFavorite = favorites.includes(video.id);
+}
 
-document.getElementById("batchCancel").addEventListener("click", () => {
-  batchMode = false;
-  selectedVideos.clear();
-  document.getElementById("batchBar").style.display = "none";
-  document.getElementById("batchBtn").classList.remove("active");
-  updateDisplay();
-});
+// Removes and returns everything stored for a video, for restoreMetadata
+function takeMetadata(id) {
+  const data = {
+    favorite: favorites.includes(id),
+    tags: videoTags[id],
+    playlists: [],
+    history: watchHistory[id],
+    bookmarks: bookmarks[id],
+  };
+  playlists.forEach((playlist) => {
+    const index = playlist.videos?.indexOf(id) ?? -1;
+    if (index === -1) return;
+    data.playlists.push({ name: playlist.name, index });
+    playlist.videos.splice(index, 1);
+  });
+  favorites = favorites.filter((favorite) => favorite !== id);
+  delete videoTags[id];
+  delete watchHistory[id];
+  delete bookmarks[id];
+  return data;
+}
 
-document.getElementById("batchSelectAll").addEventListener("click", () => {
-  allVideos.forEach((v) => selectedVideos.add(v.id));
-  updateDisplay();
+function restoreMetadata(id, data) {
+  if (data.favorite && !favorites.includes(id)) favorites.push(id);
+  if (data.tags) videoTags[id] = data.tags;
+  if (data.history) watchHistory[id] = data.history;
+  if (data.bookmarks) bookmarks[id] = data.bookmarks;
+  data.playlists.forEach(({ name, index }) => {
+    const playlist = playlists.find((p) => p.name === name && p.videos);
+    if (playlist && !playlist.videos.includes(id)) {
+      playlist.videos.splice(index, 0, id);
+    }
+  });
+}
+
+// Applies { video, to: { folder, name } } moves one by one and logs the
+// ones that worked. With trash set, names are made unique and the videos
+// leave the library along with their metadata.
+async function runFileOperation(label, moves, trash = false) {
+  const items = [];
+  const failed = [];
+  for (const { video, to } of moves) {
+    const from = { folder: video.folder, name: video.file.name };
+    try {
+      const moved = await moveLibraryFile(
+        getRootHandle(video),
+        from,
+        to,
+        trash,
+      );
+      relocateVideo(video, moved, to.folder);
+      const item = {
+        video,
+        from,
+        to: { folder: to.folder, name: moved.file.name },
+      };
+      if (trash) {
+        item.metadata = takeMetadata(video.id);
+        allVideos = allVideos.filter((v) => v !== video);
+        selectedVideos.delete(video.id);
+      }
+      items.push(item);
+    } catch (error) {
+      console.error("File operation failed:", error);
+      failed.push(`${joinPath(from.folder, from.name)}: ${error.message}`);
+    }
+  }
+
+  if (items.length > 0) {
+    fileOperationLog.push({ label, time: Date.now(), items, undone: false });
+    saveMetadata();
+  }
+  if (failed.length > 0) {
+    alert(`Some files could not be changed:\n\n${failed.join("\n")}`);
+  }
   updateBatchInfo();
-});
+  updateDisplay();
+  renderFileLog();
+}
 
-document.getElementById("batchDeselectAll").addEventListener("click", () => {
-  selectedVideos.clear();
+// Reverses the newest operation that hasn't been undone yet
+async function undoFileOperation() {
+  const entry = fileOperationLog.findLast((e) => !e.undone);
+  if (!entry || !confirm(`Undo "${entry.label}"?`)) return;
+  if (!(await ensureFileOperations(entry.items.map((item) => item.video)))) {
+    return;
+  }
+
+  const failed = [];
+  const remaining = [];
+  for (const item of [...entry.items].reverse()) {
+    try {
+      const moved = await moveLibraryFile(
+        getRootHandle(item.video),
+        item.to,
+        item.from,
+      );
+      relocateVideo(item.video, moved, item.from.folder);
+      if (item.metadata) {
+        restoreMetadata(item.video.id, item.metadata);
+        item.video.isFavorite = favorites.includes(item.video.id);
+        allVideos.push(item.video);
+      }
+    } catch (error) {
+      console.error("Undo failed:", error);
+      failed.push(
+        `${joinPath(item.to.folder, item.to.name)}: ${error.message}`,
+      );
+      remaining.unshift(item);
+    }
+  }
+
+  // Items that could not be restored stay in the log for another try
+  entry.items = remaining;
+  entry.undone = remaining.length === 0;
+  saveMetadata();
+  if (failed.length > 0) {
+    alert(`Some files could not be restored:\n\n${failed.join("\n")}`);
+  }
   updateDisplay();
-  updateBatchInfo();
-});
+  renderFileLog();
+}
+
+function renderFileLog() {
+  const list = document.getElementById("fileLogList");
+  const undoButton = document.getElementById("undoFileOperation");
+  const next = fileOperationLog.findLast((e) => !e.undone);
+  undoButton.disabled = !next;
+  undoButton.title = next ? `Undo "${next.label}"` : "Nothing to undo";
+
+  if (fileOperationLog.length === 0) {
+    list.innerHTML =
+      '<li class="playlist-empty">No files have been renamed, moved or deleted this session.</li>';
+    return;
+  }
+  list.innerHTML = [...fileOperationLog]
+    .reverse()
+    .map(
+      (entry) => `
+      <li class="file-log-entry ${entry.undone ? "undone" : ""}">
+        <div class="file-log-header">
+          <strong>${escapeHtml(entry.label)}</strong>
+          <small>${new Date(entry.time).toLocaleTimeString()}${
+            entry.undone ? " · undone" : ""
+          }</small>
+        </div>
+        <ul>
+          ${entry.items
+            .map(
+              (item) =>
+                `<li>${escapeHtml(joinPath(item.from.folder, item.from.name))} → ${escapeHtml(
+                  joinPath(item.to.folder, item.to.name),
+                )}</li>`,
+            )
+            .join("")}
+        </ul>
+      </li>`,
+    )
+    .join("");
+}
+
+document.getElementById("batchRename").addEventListener("click", async () => {
+  const videos = getSelectedVideoEntries();
+  if (videos.length === 0) {
+    alert("Please select videos first");
+    return;
+  }
+  if (!(await ensureFileOperations(videos))) return;
+
+  const moves = [];
+  for (const video of videos) {
+    const answer = prompt(`Rename "${video.file.name}" to:`, video.file.name);
+    if (answer === null) return;
+    const name = answer.trim();
+    if (name === video.file.name) continue;
+    if (!isValidFileName(name)) {
+      alert(`"${name}" is not a valid file name`);
+      return;
+    }
+    moves.push({ video, to: { folder: video.folder, name } });
+  }
+  if (moves.length === 0) return;
 
-document.getElementById("batchAddToFavorites").addEventListener("click", () => {
-  selectedVideos.forEach((id) => {
-    if (!favorites.includes(id)) favorites.push(id);
-  });
-  localStorage.setItem("favorites", JSON.stringify(favorites));
-  allVideos.forEach((v) => (v.isFavorite = favorites.includes(v.id)));
-  updateDisplay();
+  const label =
+    moves.length === 1
+      ? `Rename "${moves[0].video.file.name}" to "${moves[0].to.name}"`
+      : `Rename ${moves.length} videos`;
+  await runFileOperation(label, moves);
 });
 
-document
-  .getElementById("batchRemoveFromFavorites")
-  .addEventListener("click", () => {
-    selectedVideos.forEach((id) => {
-      const index = favorites.indexOf(id);
-      if (index > -1) favorites.splice(index, 1);
-    });
-    localStorage.setItem("favorites", JSON.stringify(favorites));
-    allVideos.forEach((v) => (v.isFavorite = favorites.includes(v.id)));
-    updateDisplay();
-  });
-
-document.getElementById("batchAddTags").addEventListener("click", () => {
-  if (selectedVideos.size === 0) {
+document.getElementById("batchMove").addEventListener("click", async () => {
+  const videos = getSelectedVideoEntries();
+  if (videos.length === 0) {
     alert("Please select videos first");
     return;
   }
-  currentVideo = { id: Array.from(selectedVideos) };
-  document.getElementById("tagsModal").style.display = "flex";
-});
+  if (!(await ensureFileOperations(videos))) return;
 
-document.getElementById("batchDelete").addEventListener("click", () => {
-  if (selectedVideos.size === 0) return;
-  if (confirm(`Delete ${selectedVideos.size} video(s) from the list?`)) {
-    allVideos = allVideos.filter((v) => !selectedVideos.has(v.id));
-    selectedVideos.clear();
-    updateDisplay();
+  const answer = prompt(
+    `Move ${videos.length} video(s) into which folder? Each video stays inside its own library folder.\n(e.g. Archive/2023, or leave empty for the top level)`,
+    lastMoveFolder,
+  );
+  if (answer === null) return;
+  const parts = answer
+    .split("/")
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (!parts.every(isValidFileName) || parts[0] === TRASH_FOLDER) {
+    alert(`"${answer}" is not a valid folder`);
+    return;
   }
+  const folder = parts.join("/");
+  lastMoveFolder = folder;
+
+  const moves = videos
+    .filter((video) => video.folder !== folder)
+    .map((video) => ({ video, to: { folder, name: video.file.name } }));
+  if (moves.length === 0) return;
+  await runFileOperation(
+    `Move ${moves.length} video(s) to "${folder || "(top level)"}"`,
+    moves,
+  );
 });
 
-function updateBatchInfo() {
-  document.getElementById("selectedCount").textContent =
-    `${selectedVideos.size} selected`;
-}
-
-// Compare Videos
-document.getElementById("compareBtn").addEventListener("click", () => {
-  const select1 = document.getElementById("compareVideo1");
-  const select2 = document.getElementById("compareVideo2");
-  select1.innerHTML = '<option value="">Select video...</option>';
-  select2.innerHTML = '<option value="">Select video...</option>';
-
-  allVideos.forEach((video) => {
-    const option1 = document.createElement("option");
-    option1.value = video.id;
-    option1.textContent = video.file.name;
-    select1.appendChild(option1);
-
-    const option2 = document.createElement("option");
-    option2.value = video.id;
-    option2.textContent = video.file.name;
-    select2.appendChild(option2);
-  });
+// Without file operations this only removes the videos from the list
+document.getElementById("batchDelete").addEventListener("click", async () => {
+  if (selectedVideos.size === 0) return;
+  if (!settings.fileOperations) {
+    if (confirm(`Delete ${selectedVideos.size} video(s) from the list?`)) {
+      allVideos = allVideos.filter((v) => !selectedVideos.has(v.id));
+      selectedVideos.clear();
+      updateBatchInfo();
+      updateDisplay();
+    }
+    return;
+  }
+  const videos = getSelectedVideoEntries();
+  if (!(await ensureFileOperations(videos))) return;
 
-  document.getElementById("compareModal").style.display = "flex";
+  const files = videos
+    .map((video) => joinPath(getRootLabel(video.root), video.relativePath))
+    .join("\n");
+  if (
+    !confirm(
+      `Move these ${videos.length} file(s) to the "${TRASH_FOLDER}" folder of their library folder?\n\n${files}\n\nYou can undo this from the File Log.`,
+    )
+  ) {
+    return;
+  }
+  await runFileOperation(
+    `Delete ${videos.length} video(s)`,
+    videos.map((video) => ({
+      video,
+      to: { folder: TRASH_FOLDER, name: video.file.name },
+    })),
+    true,
+  );
 });
 
-document.getElementById("compareVideo1").addEventListener("change", (e) => {
-  const video = allVideos.find((v) => v.id === e.target.value);
-  if (video) {
-    const player = document.getElementById("comparePlayer1");
-    player.src = URL.createObjectURL(video.file);
-    document.getElementById("compareInfo1").innerHTML = `
-      <p><strong>Resolution:</strong> ${video.meta.resolution}</p>
-      <p><strong>Duration:</strong> ${formatDuration(video.meta.duration)}</p>
-      <p><strong>Size:</strong> ${formatSize(video.meta.size)}</p>
-      <p><strong>Format:</strong> ${video.file.name
-        .split(".")
-        .pop()
-        .toUpperCase()}</p>
-    `;
-  }
+document.getElementById("fileLogBtn").addEventListener("click", () => {
+  renderFileLog();
+  document.getElementById("fileLogModal").style.display = "flex";
 });
 
-document.getElementById("compareVideo2").addEventListener("change", (e) => {
-  const video = allVideos.find((v) => v.id === e.target.value);
-  if (video) {
-    const player = document.getElementById("comparePlayer2");
-    player.src = URL.createObjectURL(video.file);
-    document.getElementById("compareInfo2").innerHTML = `
-      <p><strong>Resolution:</strong> ${video.meta.resolution}</p>
-      <p><strong>Duration:</strong> ${formatDuration(video.meta.duration)}</p>
-      <p><strong>Size:</strong> ${formatSize(video.meta.size)}</p>
-      <p><strong>Format:</strong> ${video.file.name
-        .split(".")
-        .pop()
-        .toUpperCase()}</p>
-    `;
-  }
+document
+  .getElementById("undoFileOperation")
+  .addEventListener("click", undoFileOperation);
+
+const fileOperationsInput = document.getElementById("fileOperationsInput");
+fileOperationsInput.addEventListener("change", () => {
+  settings.fileOperations = fileOperationsInput.checked;
+  saveSettings();
+});
+onStoreChange(["settings"], () => {
+  fileOperationsInput.checked = settings.fileOperations;
 });
 
-document.getElementById("syncPlayback").addEventListener("change", (e) => {
-  const player1 = document.getElementById("comparePlayer1");
-  const player2 = document.getElementById("comparePlayer2");
+// ==================== BACKUP & RESTORE ====================
+
+const BACKUP_FORMAT = "video-browser-pro-backup";
+const BACKUP_VERSION = 1;
+
+// Upgrades a backup by one version; index = the version it upgrades from.
+// Version 0 is the loose { favorites, playlists, ... } export of older
+// releases.
+const backupMigrations = [
+  (backup) => ({
+    format: BACKUP_FORMAT,
+    version: 1,
+    exportedAt: null,
+    data: Object.fromEntries(
+      Object.keys(storeCollections)
+        .filter((section) => backup[section] !== undefined)
+        .map((section) => [section, backup[section]]),
+    ),
+  }),
+];
+
+let pendingBackup = null; // Validated backup waiting in the restore preview
+let relinkTargets = []; // Folders from a restored backup that need picking again
+
+// Builds a backup of the given sections (all of them by default)
+function createBackup(sections = Object.keys(storeCollections)) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: Object.fromEntries(
+      sections.map((section) => [section, storeCollections[section].get()]),
+    ),
+  };
+}
 
-  if (e.target.checked) {
-    player1.addEventListener("play", () => player2.play());
-    player1.addEventListener("pause", () => player2.pause());
-    player1.addEventListener(
-      "seeked",
-      () => (player2.currentTime = player1.currentTime),
-    );
-  } else {
-    player1.removeEventListener("play", () => player2.play());
-    player1.removeEventListener("pause", () => player2.pause());
-    player1.removeEventListener(
-      "seeked",
-      () => (player2.currentTime = player1.currentTime),
+// Upgrades an older backup and checks every section against the schema.
+// Throws with the path of the first problem found.
+function validateBackup(backup) {
+  expectType(backup, "object", "backup");
+  let version = backup.format === BACKUP_FORMAT ? backup.version : 0;
+  if (backup.format !== undefined && backup.format !== BACKUP_FORMAT) {
+    throw new Error("this isn't a Video Browser Pro backup");
+  }
+  expectType(version, "number", "version");
+  if (version > BACKUP_VERSION) {
+    throw new Error(
+      `the backup is version ${version}, but this app only reads up to version ${BACKUP_VERSION}. Update the app first.`,
     );
   }
-});
+  while (version < BACKUP_VERSION) {
+    backup = backupMigrations[version](backup);
+    version = backup.version;
+  }
 
-// Tags Management
-document.getElementById("tagsBtn").addEventListener("click", () => {
-  document.getElementById("tagsModal").style.display = "flex";
-  displayPopularTags();
-});
+  const data = expectType(backup.data, "object", "data");
+  const sections = Object.keys(storeCollections).filter(
+    (section) => data[section] !== undefined,
+  );
+  if (sections.length === 0) throw new Error("the backup holds no data");
+  skippedItems = [];
+  return {
+    ...backup,
+    data: Object.fromEntries(
+      sections.map((section) => [
+        section,
+        storeCollections[section].validate(data[section], section),
+      ]),
+    ),
+    // Counted after data, which fills skippedItems
+    skipped: skippedItems.length,
+  };
+}
 
-document.getElementById("addTagsBtn").addEventListener("click", () => {
-  const input = document.getElementById("tagInput");
-  const tags = input.value
-    .split(",")
-    .map((t) => t.trim())
-    .filter((t) => t);
+// The state after restoring. Sections missing from the backup are left
+// alone in both modes.
+function combineBackupData(data, mode) {
+  return Object.fromEntries(
+    Object.entries(data).map(([section, value]) => [
+      section,
+      mode === "replace"
+        ? value
+        : storeCollections[section].merge(
+            storeCollections[section].get(),
+            value,
+          ),
+    ]),
+  );
+}
 
-  if (tags.length === 0) return;
+// Items of a section keyed for comparison: names for playlists and
+// folders, IDs for favorites, object keys otherwise
+function getBackupItems(section, value) {
+  if (section === "theme") return new Map([[section, value]]);
+  if (Array.isArray(value)) {
+    return new Map(
+      value.map((item) => [typeof item === "string" ? item : item.name, item]),
+    );
+  }
+  return new Map(Object.entries(value));
+}
 
-  if (Array.isArray(currentVideo.id)) {
-    // Batch mode
-    currentVideo.id.forEach((id) => {
-      if (!videoTags[id]) videoTags[id] = [];
-      tags.forEach((tag) => {
-        if (!videoTags[id].includes(tag)) videoTags[id].push(tag);
-      });
+// Counts what restoring would add, change and remove in each section
+function getBackupChanges(result) {
+  return Object.entries(result).map(([section, value]) => {
+    const before = getBackupItems(section, storeCollections[section].get());
+    const after = getBackupItems(section, value);
+    const changes = { added: 0, changed: 0, removed: 0 };
+    after.forEach((item, key) => {
+      if (!before.has(key)) changes.added++;
+      else if (JSON.stringify(before.get(key)) !== JSON.stringify(item)) {
+        changes.changed++;
+      }
     });
-  } else {
-    // Single video
-    if (!videoTags[currentVideo.id]) videoTags[currentVideo.id] = [];
-    tags.forEach((tag) => {
-      if (!videoTags[currentVideo.id].includes(tag))
-        videoTags[currentVideo.id].push(tag);
+    before.forEach((item, key) => {
+      if (!after.has(key)) changes.removed++;
     });
-  }
+    return { section, ...changes };
+  });
+}
 
-  localStorage.setItem("videoTags", JSON.stringify(videoTags));
-  input.value = "";
-  document.getElementById("tagsModal").style.display = "none";
-  updateDisplay();
-});
+function renderBackupPreview() {
+  const mode = document.querySelector('[name="restoreMode"]:checked').value;
+  const changes = getBackupChanges(combineBackupData(pendingBackup.data, mode));
+  document.getElementById("restorePreview").innerHTML = changes
+    .map(({ section, added, changed, removed }) => {
+      const parts = [
+        added && `${added} added`,
+        changed && `${changed} changed`,
+        removed && `${removed} removed`,
+      ].filter(Boolean);
+      return `<li class="${parts.length ? "" : "unchanged"}">
+        <strong>${storeCollections[section].label}</strong>
+        <span>${parts.join(" · ") || "No changes"}</span>
+      </li>`;
+    })
+    .join("");
+}
 
-function displayPopularTags() {
-  const allTags = {};
-  Object.values(videoTags).forEach((tags) => {
-    tags.forEach((tag) => (allTags[tag] = (allTags[tag] || 0) + 1));
+function showRestorePreview(backup) {
+  pendingBackup = backup;
+  const date = backup.exportedAt
+    ? new Date(backup.exportedAt).toLocaleString()
+    : "an older version";
+  document.getElementById("restoreSummary").textContent =
+    `Backup from ${date}. Merge keeps what's here and adds the backup; replace makes each section in the backup exactly as it was saved.${
+      backup.skipped
+        ? ` ${backup.skipped} invalid item${backup.skipped !== 1 ? "s" : ""} in the backup will be skipped.`
+        : ""
+    }`;
+  document.querySelector('[name="restoreMode"][value="merge"]').checked = true;
+  document.getElementById("restoreOptions").style.display = "block";
+  document.getElementById("relinkSection").style.display = "none";
+  renderBackupPreview();
+  document.getElementById("exportModal").style.display = "none";
+  document.getElementById("restoreModal").style.display = "flex";
+}
+
+async function applyBackup() {
+  const mode = document.querySelector('[name="restoreMode"]:checked').value;
+  const result = combineBackupData(pendingBackup.data, mode);
+  Object.entries(result).forEach(([section, value]) => {
+    storeCollections[section].set(value);
+    saveCollection(section);
   });
+  pendingBackup = null;
+  await attachPlaylistHandles();
+  await connectLibraryRoots();
+
+  // Folder access can't be stored in a file, so restored folders need
+  // picking again
+  relinkTargets = [
+    ...playlists
+      .filter((playlist) => playlist.folderName && !playlist.folderHandle)
+      .map((playlist) => ({
+        label: `📋 ${playlist.name}`,
+        folderName: playlist.folderName,
+        relink: async (handle) => {
+          const db = await openHandlesDB();
+          await saveHandleToDB(db, playlist.name, handle);
+          playlist.folderHandle = handle;
+        },
+      })),
+    ...libraryRoots
+      .filter((root) => !root.handle)
+      .map((root) => ({
+        label: `🗂️ ${root.name}`,
+        folderName: root.name,
+        relink: async (handle) => {
+          const db = await openHandlesDB();
+          await saveHandleToDB(db, ROOT_HANDLE_PREFIX + root.id, handle);
+          root.handle = handle;
+          root.access = "granted";
+          libraryRootsChanged();
+          if (root.enabled) await scanRoots([root]);
+        },
+      })),
+  ];
+  if (relinkTargets.length === 0) {
+    document.getElementById("restoreModal").style.display = "none";
+    alert("Backup restored!");
+    return;
+  }
+  document.getElementById("restoreOptions").style.display = "none";
+  document.getElementById("relinkSection").style.display = "block";
+  renderRelinkList();
+}
 
-  const popular = Object.entries(allTags)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
-  const container = document.getElementById("popularTagsList");
-  container.innerHTML = popular
+function renderRelinkList() {
+  document.getElementById("relinkList").innerHTML = relinkTargets
     .map(
-      ([tag, count]) =>
-        `<span class="tag clickable" onclick="document.getElementById('tagInput').value += '${tag},';">${tag} (${count})</span>`,
+      (target, index) => `
+      <li class="${target.done ? "linked" : ""}">
+        <span>${escapeHtml(target.label)}
+          <small>was “${escapeHtml(target.folderName)}”</small></span>
+        <button onclick="relinkFolder(${index})" ${target.done ? "disabled" : ""}>
+          ${target.done ? "✓ Linked" : "📁 Pick Folder"}
+        </button>
+      </li>
+    `,
     )
     .join("");
 }
 
-// Loop Video
-document.getElementById("loopBtn").addEventListener("click", () => {
-  const player = document.getElementById("mainVideoPlayer");
-  player.loop = !player.loop;
-  document.getElementById("loopBtn").classList.toggle("active", player.loop);
-});
-
-// Snapshot
-document.getElementById("snapshotBtn").addEventListener("click", () => {
-  const video = document.getElementById("mainVideoPlayer");
-  const canvas = document.createElement("canvas");
-  canvas.width = video.videoWidth;
-  canvas.height = video.videoHeight;
-  canvas.getContext("2d").drawImage(video, 0, 0);
-
-  canvas.toBlob(
-    (blob) => {
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `snapshot-${Date.now()}.jpg`;
-      a.click();
-      URL.revokeObjectURL(url);
-    },
-    "image/jpeg",
-    0.95,
-  );
-});
+window.relinkFolder = async (index) => {
+  const target = relinkTargets[index];
+  try {
+    await target.relink(await window.showDirectoryPicker());
+    target.done = true;
+    renderRelinkList();
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      alert(`Could not re-link the folder: ${error.message}`);
+    }
+  }
+};
 
-// Export/Import
 document.getElementById("exportBtn").addEventListener("click", () => {
   document.getElementById("exportModal").style.display = "flex";
 });
 
 document.getElementById("exportFavorites").addEventListener("click", () => {
-  downloadJSON({ favorites }, "favorites.json");
+  downloadJSON(createBackup(["favorites"]), "favorites.json");
 });
 
 document.getElementById("exportPlaylists").addEventListener("click", () => {
-  downloadJSON({ playlists }, "playlists.json");
+  downloadJSON(
+    createBackup(["playlists", "smartCollections"]),
+    "playlists.json",
+  );
 });
 
 document.getElementById("exportTags").addEventListener("click", () => {
-  downloadJSON({ videoTags }, "tags.json");
+  downloadJSON(createBackup(["videoTags", "tagColors"]), "tags.json");
 });
 
 document.getElementById("exportAll").addEventListener("click", () => {
-  downloadJSON({ favorites, playlists, videoTags }, "video-browser-data.json");
+  downloadJSON(createBackup(), "video-browser-backup.json");
 });
 
-document.getElementById("importData").addEventListener("click", () => {
+document.getElementById("importData").addEventListener("click", async () => {
   const file = document.getElementById("importFile").files[0];
-  if (!file) return;
+  if (!file) {
+    alert("Please choose a backup file first");
+    return;
+  }
+  try {
+    showRestorePreview(validateBackup(JSON.parse(await file.text())));
+  } catch (error) {
+    alert(`Can't restore this backup: ${error.message}`);
+  }
+});
 
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    try {
-      const data = JSON.parse(e.target.result);
-      if (data.favorites) {
-        favorites = data.favorites;
-        localStorage.setItem("favorites", JSON.stringify(favorites));
-      }
-      if (data.playlists) {
-        playlists = data.playlists;
-        localStorage.setItem("playlists", JSON.stringify(playlists));
-      }
-      if (data.videoTags) {
-        videoTags = data.videoTags;
-        localStorage.setItem("videoTags", JSON.stringify(videoTags));
-      }
-      alert("Data imported successfully!");
-      updateDisplay();
-    } catch (error) {
-      alert("Error importing data: " + error.message);
-    }
-  };
-  reader.readAsText(file);
+document
+  .querySelectorAll('[name="restoreMode"]')
+  .forEach((input) => input.addEventListener("change", renderBackupPreview));
+
+document.getElementById("applyRestore").addEventListener("click", async () => {
+  const mode = document.querySelector('[name="restoreMode"]:checked').value;
+  if (
+    mode === "replace" &&
+    !confirm("Replace your current data with the backup? This can't be undone.")
+  ) {
+    return;
+  }
+  await applyBackup();
 });
 
-function downloadJSON(data, filename) {
-  const blob = new Blob([JSON.stringify(data, null, 2)], {
-    type: "application/json",
-  });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
+document.getElementById("relinkDone").addEventListener("click", () => {
+  document.getElementById("restoreModal").style.display = "none";
+});
+
+// ==================== SETTINGS ====================
+function saveSettings() {
+  saveCollection("settings");
 }
 
-// Close additional modals
-document.querySelectorAll(".modal .close").forEach((closeBtn) => {
-  closeBtn.addEventListener("click", () => {
-    closeBtn.closest(".modal").style.display = "none";
+async function updateCacheUsage() {
+  const usage = document.getElementById("cacheUsage");
+  try {
+    const db = await openThumbnailCacheDB();
+    const { count, bytes } = await getThumbnailCacheUsage(db);
+    usage.textContent = `${count} cached thumbnail${
+      count !== 1 ? "s" : ""
+    } using ${formatSize(bytes)} of ${settings.cacheLimitMB} MB`;
+  } catch (e) {
+    usage.textContent = "Thumbnail cache unavailable";
+  }
+}
+
+const settingInputs = document.querySelectorAll(
+  "#settingsModal [data-setting]",
+);
+
+document.getElementById("settingsBtn").addEventListener("click", () => {
+  settingInputs.forEach((input) => {
+    input.value = settings[input.dataset.setting];
   });
+  document.getElementById("settingsModal").style.display = "flex";
+  updateCacheUsage();
 });
 
-// Close modals when clicking outside
-document.querySelectorAll(".modal").forEach((modal) => {
-  modal.addEventListener("click", (e) => {
-    if (e.target === modal) {
-      modal.style.display = "none";
+// Numeric settings are validated against the input's min/max and saved
+settingInputs.forEach((input) => {
+  input.addEventListener("change", () => {
+    const key = input.dataset.setting;
+    const value = parseInt(input.value, 10);
+    const min = input.min === "" ? -Infinity : Number(input.min);
+    const max = input.max === "" ? Infinity : Number(input.max);
+    if (isNaN(value) || value < min || value > max) {
+      input.value = settings[key];
+      return;
+    }
+    settings[key] = value;
+    saveSettings();
+  });
+});
+
+document
+  .getElementById("cacheLimitInput")
+  .addEventListener("change", async () => {
+    try {
+      const db = await openThumbnailCacheDB();
+      await enforceThumbnailCacheLimit(db, settings.cacheLimitMB * 1024 * 1024);
+    } catch (error) {
+      console.log("Thumbnail cache eviction failed:", error);
     }
+    updateCacheUsage();
   });
+
+document.getElementById("clearCacheBtn").addEventListener("click", async () => {
+  if (!confirm("Clear all cached thumbnails?")) return;
+  try {
+    const db = await openThumbnailCacheDB();
+    await clearThumbnailCache(db);
+  } catch (e) {
+    console.error("Failed to clear thumbnail cache:", e);
+  }
+  updateCacheUsage();
 });
 
 // ==================== MENU TOGGLE FUNCTIONALITY ====================